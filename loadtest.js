@@ -0,0 +1,332 @@
+// Load-testing client for the SSE test server.
+// Opens N concurrent SSE connections (with ramp-up), follows retry and
+// Last-Event-ID on reconnect like EventSource does, and reports connect and
+// delivery latency plus any missing, duplicate or out-of-order ids.
+//
+//   npm run loadtest -- --url http://localhost:3000/sse/test?interval=500 \
+//       --connections 200 --ramp-up 10000 --duration 60000
+//
+// Exits with code 1 if any id was missing, duplicated or out of order.
+import http from 'http';
+import https from 'https';
+import { parseArgs } from 'util';
+
+const { values: args } = parseArgs({
+    options: {
+        url: {
+            type: 'string',
+            short: 'u',
+            default: 'http://localhost:3000/sse/test?interval=1000',
+        },
+        connections: { type: 'string', short: 'c', default: '50' },
+        'ramp-up': { type: 'string', short: 'r', default: '5000' }, // ms to open all connections
+        duration: { type: 'string', short: 'd', default: '30000' }, // ms, from the first connection
+        retry: { type: 'string', default: '3000' }, // Until the server sends retry:
+        json: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+    },
+});
+
+if (args.help) {
+    console.log(`Usage: npm run loadtest -- [options]
+
+  -u, --url <url>          SSE endpoint (default ${args.url})
+  -c, --connections <n>    Concurrent connections (default 50)
+  -r, --ramp-up <ms>       Spread connection opens over this long (default 5000)
+  -d, --duration <ms>      Test length, from the first connection (default 30000)
+      --retry <ms>         Reconnect delay until the server sends retry: (default 3000)
+      --json               Print the report as JSON`);
+    process.exit(0);
+}
+
+const url = new URL(args.url);
+const client = url.protocol === 'https:' ? https : http;
+const connectionCount = Math.max(1, parseInt(args.connections) || 50);
+const rampUpMs = Math.max(0, parseInt(args['ramp-up']) || 0);
+const durationMs = Math.max(1000, parseInt(args.duration) || 30000);
+const defaultRetryMs = Math.max(0, parseInt(args.retry) || 3000);
+
+const totals = {
+    connects: 0, // Successful (200) responses, including reconnects
+    reconnects: 0,
+    reconnectsWithLastEventId: 0,
+    httpErrors: 0, // Non-200 responses other than 204
+    networkErrors: 0,
+    finished: 0, // Connections stopped by a 204 (stream finished)
+    events: 0,
+    eventsWithId: 0,
+    missing: 0,
+    duplicates: 0,
+    outOfOrder: 0,
+};
+const connectLatencies = [];
+const deliveryLatencies = [];
+const clients = [];
+let stopping = false;
+
+// Minimal WHATWG-style SSE parser: handles CRLF/CR/LF, a leading BOM,
+// comments, and lines or events split across chunks. Like EventSource, the
+// last event id persists across events and is updated by every block that
+// sets one, even a block without data. A reconnect's parser starts from the
+// id the previous connection ended on.
+function createParser(onEvent, onRetry, onLastEventId, lastEventId = '') {
+    let buffer = '';
+    let started = false;
+    let data = [];
+    let eventType = '';
+    let id = null; // Set by this block's own id: field, for the id checks
+
+    const dispatch = () => {
+        onLastEventId(lastEventId);
+        if (data.length) {
+            onEvent({
+                type: eventType || 'message',
+                data: data.join('\n'),
+                id,
+            });
+        }
+        data = [];
+        eventType = '';
+        id = null;
+    };
+
+    return (chunk) => {
+        buffer += chunk;
+        if (!started && buffer.length) {
+            if (buffer.charCodeAt(0) === 0xfeff) buffer = buffer.slice(1);
+            started = true;
+        }
+
+        // A trailing CR may be the first half of a CRLF, so wait for more
+        let match;
+        while ((match = /\r\n|\r(?=[^\n])|\n/.exec(buffer))) {
+            const line = buffer.slice(0, match.index);
+            buffer = buffer.slice(match.index + match[0].length);
+
+            if (line === '') {
+                dispatch();
+                continue;
+            }
+            if (line.startsWith(':')) continue;
+
+            const colon = line.indexOf(':');
+            const field = colon === -1 ? line : line.slice(0, colon);
+            let value = colon === -1 ? '' : line.slice(colon + 1);
+            if (value.startsWith(' ')) value = value.slice(1);
+
+            if (field === 'data') data.push(value);
+            else if (field === 'event') eventType = value;
+            else if (field === 'id' && !value.includes('\0')) {
+                lastEventId = value;
+                id = value;
+            } else if (field === 'retry' && /^\d+$/.test(value)) {
+                onRetry(Number(value));
+            }
+        }
+    };
+}
+
+function startClient(index) {
+    const state = {
+        index,
+        lastEventId: '', // Sent as Last-Event-ID on reconnect unless empty
+        highestId: 0,
+        seen: new Set(),
+        retryMs: defaultRetryMs,
+        req: null,
+        timer: null,
+        done: false,
+    };
+    clients.push(state);
+
+    const onEvent = (event) => {
+        totals.events++;
+
+        // An empty id: resets the last event id and carries no number
+        if (event.id !== null && event.id !== '') {
+            const id = Number(event.id);
+            if (Number.isInteger(id)) {
+                totals.eventsWithId++;
+                if (state.seen.has(id)) {
+                    totals.duplicates++;
+                } else if (id < state.highestId) {
+                    totals.outOfOrder++;
+                } else if (state.highestId > 0 && id > state.highestId + 1) {
+                    totals.missing += id - state.highestId - 1;
+                }
+                state.seen.add(id);
+                state.highestId = Math.max(state.highestId, id);
+            }
+        }
+
+        // /sse/test payloads carry the time the event was generated
+        try {
+            const payload = JSON.parse(event.data);
+            if (payload?.time) {
+                deliveryLatencies.push(Date.now() - Date.parse(payload.time));
+            }
+        } catch {
+            // Not JSON – nothing to measure
+        }
+    };
+
+    // Called once per attempt, whichever way it ended
+    const scheduleReconnect = () => {
+        if (stopping || state.done || state.timer) return;
+        state.timer = setTimeout(() => connect(true), state.retryMs);
+    };
+
+    const connect = (isReconnect) => {
+        state.timer = null;
+        if (stopping) return;
+        const headers = { Accept: 'text/event-stream' };
+        if (isReconnect) {
+            totals.reconnects++;
+            if (state.lastEventId !== '') {
+                headers['Last-Event-ID'] = state.lastEventId;
+                totals.reconnectsWithLastEventId++;
+            }
+        }
+
+        const startedAt = performance.now();
+        const req = client.get(url, { headers });
+        state.req = req;
+
+        req.on('response', (res) => {
+            // 204 means the stream is over – EventSource stops reconnecting
+            if (res.statusCode === 204) {
+                totals.finished++;
+                state.done = true;
+                res.resume();
+                return;
+            }
+            if (res.statusCode !== 200) {
+                totals.httpErrors++;
+                res.resume();
+                res.on('close', scheduleReconnect);
+                return;
+            }
+
+            totals.connects++;
+            connectLatencies.push(performance.now() - startedAt);
+
+            const parse = createParser(
+                onEvent,
+                (ms) => {
+                    state.retryMs = ms;
+                },
+                (lastEventId) => {
+                    state.lastEventId = lastEventId;
+                },
+                state.lastEventId,
+            );
+            res.setEncoding('utf8');
+            res.on('data', parse);
+            // Also fires when the server cuts the socket mid-event
+            res.on('close', scheduleReconnect);
+            res.on('error', () => {});
+        });
+
+        req.on('error', () => {
+            if (stopping) return;
+            totals.networkErrors++;
+            scheduleReconnect();
+        });
+    };
+
+    connect(false);
+}
+
+function percentiles(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const at = (p) =>
+        Math.round(
+            sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))],
+        );
+    return {
+        min: Math.round(sorted[0]),
+        p50: at(0.5),
+        p90: at(0.9),
+        p99: at(0.99),
+        max: Math.round(sorted[sorted.length - 1]),
+    };
+}
+
+function report() {
+    const result = {
+        url: url.href,
+        connections: connectionCount,
+        rampUpMs,
+        durationMs,
+        ...totals,
+        connectLatencyMs: percentiles(connectLatencies),
+        deliveryLatencyMs: percentiles(deliveryLatencies),
+    };
+
+    if (args.json) {
+        console.log(JSON.stringify(result, null, 2));
+        return result;
+    }
+
+    const row = (label, value) => console.log(`  ${label.padEnd(28)} ${value}`);
+    const latency = (p) =>
+        p ? `p50 ${p.p50}  p90 ${p.p90}  p99 ${p.p99}  max ${p.max}` : 'n/a';
+
+    console.log(`\n[Loadtest] ${url.href}`);
+    row('Connections', `${connectionCount} (ramp-up ${rampUpMs} ms)`);
+    row('Successful connects', totals.connects);
+    row(
+        'Reconnects',
+        `${totals.reconnects} (${totals.reconnectsWithLastEventId} with Last-Event-ID)`,
+    );
+    row('Finished (204)', totals.finished);
+    row(
+        'HTTP / network errors',
+        `${totals.httpErrors} / ${totals.networkErrors}`,
+    );
+    row('Events received', `${totals.events} (${totals.eventsWithId} with id)`);
+    row('Connect latency (ms)', latency(result.connectLatencyMs));
+    row('Delivery latency (ms)', latency(result.deliveryLatencyMs));
+    row('Missing ids', totals.missing);
+    row('Duplicate ids', totals.duplicates);
+    row('Out-of-order ids', totals.outOfOrder);
+    return result;
+}
+
+function stop() {
+    if (stopping) return;
+    stopping = true;
+    for (const state of clients) {
+        clearTimeout(state.timer);
+        state.req?.destroy();
+    }
+
+    const result = report();
+    const ok =
+        result.missing === 0 &&
+        result.duplicates === 0 &&
+        result.outOfOrder === 0;
+    if (!args.json) {
+        console.log(
+            ok
+                ? '\n[Loadtest] PASS'
+                : '\n[Loadtest] FAIL – id guarantees violated',
+        );
+    }
+    process.exit(ok ? 0 : 1);
+}
+
+// Open connections evenly over the ramp-up window
+const spacingMs = connectionCount > 1 ? rampUpMs / (connectionCount - 1) : 0;
+for (let i = 0; i < connectionCount; i++) {
+    setTimeout(() => startClient(i), i * spacingMs);
+}
+if (!args.json) {
+    console.log(
+        `[Loadtest] ${connectionCount} connections to ${url.href} over ${rampUpMs} ms, running ${durationMs} ms`,
+    );
+}
+
+setTimeout(stop, durationMs);
+process.on('SIGINT', stop);
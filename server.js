@@ -2,23 +2,210 @@ import express from 'express';
 import cors from 'cors';
 import bodyParser from 'body-parser';
 import { createServer } from 'https';
+import http from 'http';
+import http2 from 'http2';
 import { readFileSync } from 'fs';
 import swaggerUi from 'swagger-ui-express';
 import { fileURLToPath } from 'url';
 import path from 'path';
 import YAML from 'yaml';
 import fs from 'fs';
+import { createCipheriv, createHash, randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+import zlib from 'zlib';
 
 const app = express();
 
 const PORT = process.env.PORT || 3000;
 const USE_HTTPS = process.env.USE_HTTPS === 'true';
+const CERTS_DIR = process.env.CERTS_DIR || '/certs'; // Path inside container
+const HTTP2_PORT = process.env.HTTP2_PORT; // TLS HTTP/2 (+ HTTP/1.1 via ALPN)
+const H2C_PORT = process.env.H2C_PORT; // Cleartext HTTP/2, prior knowledge only
+const H2_MAX_CONCURRENT_STREAMS =
+    parseInt(process.env.H2_MAX_CONCURRENT_STREAMS) || 100;
 
-const storeExpirations = new Map(); // streamId -> timeout ID
+const storeExpirations = new Map(); // streamId -> { timeout, expiresAt }
 const DEFAULT_TLS_MS = 3000000; // 5 min
 
+// ---- Deterministic mode ----
+// For snapshot tests: CLOCK_MODE picks where time comes from, SEED makes
+// chaos, jitter and generated ids/content repeatable.
+//   real    – wall clock (default)
+//   fixed   – payload timestamps frozen at CLOCK_START, pacing stays real
+//   virtual – time starts at CLOCK_START and only moves via
+//             POST /sse/clock/advance; every timer (stream intervals,
+//             heartbeats, chaos, TTL and inactivity cleanup) runs off it
+// A request can also bring its own ?seed= for its chaos and LLM jitter.
+const CLOCK_MODE = ['fixed', 'virtual'].includes(process.env.CLOCK_MODE)
+    ? process.env.CLOCK_MODE
+    : 'real';
+const CLOCK_START =
+    Date.parse(process.env.CLOCK_START) || Date.parse('2025-01-01T00:00:00Z');
+const SEED = process.env.SEED;
+
+function createVirtualClock(start) {
+    let current = start;
+    let timerSeq = 0;
+    const timers = new Map(); // id → { at, ms, fn, repeat }
+
+    const schedule = (fn, ms, repeat) => {
+        const delay = Math.max(repeat ? 1 : 0, Number(ms) || 0);
+        const id = ++timerSeq;
+        timers.set(id, { at: current + delay, ms: delay, fn, repeat });
+        return id;
+    };
+    const cancel = (id) => timers.delete(id);
+
+    // Earliest due timer, ties in scheduling order
+    const nextDue = (until) => {
+        let next = null;
+        for (const [id, timer] of timers) {
+            if (timer.at <= until && (!next || timer.at < next[1].at)) {
+                next = [id, timer];
+            }
+        }
+        return next;
+    };
+
+    return {
+        now: () => current,
+        setTimeout: (fn, ms) => schedule(fn, ms, false),
+        setInterval: (fn, ms) => schedule(fn, ms, true),
+        clearTimeout: cancel,
+        clearInterval: cancel,
+        pending: () => timers.size,
+        nextAt: () => nextDue(Infinity)?.[1].at ?? null,
+
+        // Fires every timer due up to now + ms in order, yielding to the
+        // event loop after each so awaits and socket writes settle
+        async advance(ms) {
+            const target = current + ms;
+            let fired = 0;
+            let next;
+            while ((next = nextDue(target))) {
+                const [id, timer] = next;
+                current = timer.at;
+                if (timer.repeat) timer.at += timer.ms;
+                else timers.delete(id);
+                try {
+                    timer.fn();
+                } catch (err) {
+                    console.error('[Clock] Timer failed:', err);
+                }
+                fired++;
+                await new Promise((resolve) => setImmediate(resolve));
+            }
+            current = Math.max(current, target);
+            return fired;
+        },
+    };
+}
+
+const clock =
+    CLOCK_MODE === 'virtual'
+        ? createVirtualClock(CLOCK_START)
+        : {
+              now: () => Date.now(),
+              setTimeout: (fn, ms) => setTimeout(fn, ms),
+              setInterval: (fn, ms) => setInterval(fn, ms),
+              clearTimeout: (timer) => clearTimeout(timer),
+              clearInterval: (timer) => clearInterval(timer),
+          };
+
+// Time written into event payloads
+function eventTime() {
+    return CLOCK_MODE === 'fixed' ? CLOCK_START : clock.now();
+}
+
+function eventTimestamp() {
+    return new Date(eventTime()).toISOString();
+}
+
+// mulberry32 seeded from a string hash
+function createRandom(seed) {
+    let state = 1779033703;
+    for (const char of String(seed)) {
+        state = Math.imul(state ^ char.charCodeAt(0), 3432918353);
+        state = (state << 13) | (state >>> 19);
+    }
+    return () => {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const random = SEED !== undefined ? createRandom(SEED) : Math.random;
+
+if (CLOCK_MODE !== 'real' || SEED !== undefined) {
+    console.log(
+        `[Clock] ${CLOCK_MODE} clock from ${new Date(clock.now()).toISOString()}, seed ${SEED ?? 'none'}`,
+    );
+}
+
+// The request's own ?seed= generator, otherwise the server-wide one
+function requestRandom(req) {
+    if (req.query.seed === undefined) return random;
+    req.seededRandom ??= createRandom(req.query.seed);
+    return req.seededRandom;
+}
+
+// UUID-shaped ids; repeatable when drawn from a seeded generator
+function randomId(rng = random) {
+    if (rng === Math.random) return randomUUID();
+    const hex = (n) =>
+        Array.from({ length: n }, () =>
+            Math.floor(rng() * 16).toString(16),
+        ).join('');
+    const variant = '89ab'[Math.floor(rng() * 4)];
+    return `${hex(8)}-${hex(4)}-4${hex(3)}-${variant}${hex(3)}-${hex(12)}`;
+}
+
+// Default /sse/stream-file ids: a counter outside real time, so two
+// requests at the same frozen or virtual instant don't share a history
+let fileStreamSeq = 0;
+function defaultFileStreamId() {
+    return `sim-file-${CLOCK_MODE === 'real' ? clock.now() : ++fileStreamSeq}`;
+}
+
+const MAX_CAPTURE_BYTES = '10mb'; // Upload limit for raw and HAR captures
+
+// Raw size of every parsed body, reported by /sse/echo
+function recordBodySize(req, res, buf) {
+    req.bodySize = buf.length;
+}
+
+// Every in-flight response, so a shutdown reaches SSE streams on every
+// route – not only those admitted through applyLimits
+const liveResponses = new Set();
+app.use((req, res, next) => {
+    liveResponses.add(res);
+    res.on('close', () => liveResponses.delete(res));
+    next();
+});
+
 app.use(cors()); // Enable CORS for all routes
-app.use(bodyParser.json()); // For parsing POST bodies
+
+// Capture uploads alone get the large limit and raw text/event-stream and
+// text/plain bodies. Parsed ahead of the global parsers (which then skip
+// the consumed body) so request validation sees them too.
+app.post('/sse/captures', [
+    bodyParser.json({ limit: MAX_CAPTURE_BYTES, verify: recordBodySize }), // HAR documents can be large
+    bodyParser.text({
+        type: ['text/event-stream', 'text/plain'],
+        limit: MAX_CAPTURE_BYTES,
+        verify: recordBodySize,
+    }), // Raw SSE captures
+]);
+
+app.use(bodyParser.json({ verify: recordBodySize })); // For parsing POST bodies
+app.use(
+    bodyParser.text({
+        type: ['text/yaml', 'application/yaml', 'application/x-yaml'],
+        verify: recordBodySize,
+    }),
+); // YAML scenario documents
 
 // ---- Swagger UI & Spec ----
 const __filename = fileURLToPath(import.meta.url);
@@ -45,588 +232,5317 @@ app.use(
     }),
 );
 
-const eventStore = new Map(); // Key: streamId, Value: array of {id, data}
-
-// Helper to send SSE-formatted data
-function sendEvent(res, data, options = {}) {
-    if (options.id) res.write(`id: ${options.id}\n`);
-    if (options.event) res.write(`event: ${options.event}\n`);
-    if (options.retry) res.write(`retry: ${options.retry}\n`);
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
-    res.flushHeaders(); // Ensure data is sent immediately
-}
+// ---- Request validation ----
+// Every request to a path documented in openapi.yml is checked against its
+// operation before any handler runs, so bad input never reaches a stream:
+//   - path, query and header parameters, coerced from strings by schema type
+//   - request bodies whose Content-Type the operation lists
+// Failures get a 400 naming every problem:
+//   { error: 'query.interval must be an integer', details: [{ location, message }] }
+// Query params the spec doesn't list are ignored (cache busters and the like).
 
-function setStoreExpiration(streamId) {
-    // Clear any existing timer for this streamId
-    if (storeExpirations.has(streamId)) {
-        clearTimeout(storeExpirations.get(streamId));
+// Follows local $refs ('#/components/...') into the spec
+function resolveRef(node) {
+    while (node?.$ref) {
+        node = node.$ref
+            .slice(2)
+            .split('/')
+            .reduce((obj, key) => obj?.[key], swaggerDocument);
     }
-    const timeout = setTimeout(() => {
-        eventStore.delete(streamId);
-        storeExpirations.delete(streamId);
-        console.log(`Auto-expired inactive stream: ${streamId}`);
-    }, DEFAULT_TLS_MS);
-
-    storeExpirations.set(streamId, timeout);
+    return node;
 }
 
-// Global state for all streams
-const streams = new Map();
-// streamId → {
-//   events: array of {id, data, event: string?},  // Stored history for catch-up
-//   timer: NodeJS.Timeout | null,                 // Global interval for generating events
-//   lastActivity: number (Date.now()),            // For inactivity timeout
-//   eventCount: number,                           // Total events generated so far
-//   lastId: number,                               // Last event ID
-//   maxEvents: number | Infinity,                 // Locked per-stream limit
-//   intervalMs: number,                           // Locked generation interval
-//   connections: Set<Response>,                   // Track active res for closure
-//   finished: boolean,                            // Existing, but used more consistently
-// };
+// Collects { location, message } problems for value against an OpenAPI 3.0
+// schema (the subset openapi.yml uses)
+function validateSchema(schema, value, location, details = []) {
+    schema = resolveRef(schema);
+    if (!schema) return details;
+    const fail = (message) => details.push({ location, message });
 
-// Constants for cleanup
-const INACTIVITY_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes of no connections → cleanup
+    if (value === null) {
+        if (schema.type && !schema.nullable) fail('must not be null');
+        return details;
+    }
 
-// Background cleanup for finished + inactive streams (e.g. every 5 min)
-setInterval(() => {
-    const now = Date.now();
-    for (const [streamId, state] of streams.entries()) {
-        if (state.finished && now - state.lastActivity > 30 * 60 * 1000) {
-            // 30 min grace after finish
-            streams.delete(streamId);
-            storeExpirations.delete(streamId);
-            console.log(
-                `[Cleanup] Removed finished stream ${streamId} after grace period`,
+    for (const part of schema.allOf ?? []) {
+        validateSchema(part, value, location, details);
+    }
+    // oneOf is checked like anyOf – the spec's alternatives overlap. When
+    // none fits, report the problems of the closest one
+    const alternatives = schema.oneOf ?? schema.anyOf;
+    if (alternatives) {
+        const attempts = alternatives.map((option) =>
+            validateSchema(option, value, location),
+        );
+        if (!attempts.some((problems) => problems.length === 0)) {
+            const closest = attempts.reduce((a, b) =>
+                b.length < a.length ? b : a,
             );
-        } else if (now - state.lastActivity > INACTIVITY_TIMEOUT_MS) {
-            // Existing inactivity logic for non-finished streams
-            if (state) clearInterval(state.timer);
-            streams.delete(streamId);
-            storeExpirations.delete(streamId);
-            console.log(`[Cleanup] Inactive stream expired: ${streamId}`);
+            details.push(...closest);
+            return details;
         }
     }
-}, INACTIVITY_TIMEOUT_MS);
 
-const yamlContent = fs.readFileSync('./openapi.yml', 'utf8');
+    switch (schema.type) {
+        case 'integer':
+            if (!Number.isInteger(value)) return fail('must be an integer');
+            break;
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return fail('must be a number');
+            }
+            break;
+        case 'string':
+            if (typeof value !== 'string') return fail('must be a string');
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                return fail('must be true or false');
+            }
+            break;
+        case 'array':
+            if (!Array.isArray(value)) return fail('must be an array');
+            break;
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                return fail('must be an object');
+            }
+            break;
+    }
 
-app.get('/openapi.yml', (req, res) => {
-    res.type('text/yaml');
-    res.set('Content-Disposition', 'inline');
-    res.send(yamlContent);
-});
+    if (schema.enum && !schema.enum.includes(value)) {
+        return fail(`must be one of ${schema.enum.join(', ')}`);
+    }
 
-// Basic test stream: Sends periodic events with optional configs via query params
-app.get('/sse/test', (req, res) => {
-    const streamId = req.query.streamId || 'default';
+    if (typeof value === 'number') {
+        // 3.0 spells exclusive bounds as booleans next to minimum/maximum
+        const exclusiveMin = schema.exclusiveMinimum === true;
+        const exclusiveMax = schema.exclusiveMaximum === true;
+        if (
+            schema.minimum !== undefined &&
+            (exclusiveMin ? value <= schema.minimum : value < schema.minimum)
+        ) {
+            fail(
+                `must be ${exclusiveMin ? 'greater than' : 'at least'} ${schema.minimum}`,
+            );
+        }
+        if (
+            schema.maximum !== undefined &&
+            (exclusiveMax ? value >= schema.maximum : value > schema.maximum)
+        ) {
+            fail(
+                `must be ${exclusiveMax ? 'less than' : 'at most'} ${schema.maximum}`,
+            );
+        }
+    }
 
-    // ─── Early check: if already finished → 204 immediately (stops reconnects) ───
-    let state = streams.get(streamId);
-    if (state?.finished === true) {
-        res.status(204).end();
-        console.log(
-            `[204 No Content] Finished stream ${streamId} – no retry allowed`,
-        );
-        return;
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(`must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail(`must match ${schema.pattern}`);
+        }
     }
 
-    res.set({
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        Connection: 'keep-alive',
-    });
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`must have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) =>
+                validateSchema(
+                    schema.items,
+                    item,
+                    `${location}[${i}]`,
+                    details,
+                ),
+            );
+        }
+    } else if (typeof value === 'object') {
+        for (const name of schema.required ?? []) {
+            if (value[name] === undefined) fail(`.${name} is required`);
+        }
+        for (const [name, property] of Object.entries(
+            schema.properties ?? {},
+        )) {
+            if (value[name] !== undefined) {
+                validateSchema(
+                    property,
+                    value[name],
+                    `${location}.${name}`,
+                    details,
+                );
+            }
+        }
+        if (schema.additionalProperties !== undefined) {
+            for (const name of Object.keys(value)) {
+                if (schema.properties?.[name]) continue;
+                if (schema.additionalProperties === false) {
+                    details.push({
+                        location: `${location}.${name}`,
+                        message: 'is not allowed',
+                    });
+                } else if (typeof schema.additionalProperties === 'object') {
+                    validateSchema(
+                        schema.additionalProperties,
+                        value[name],
+                        `${location}.${name}`,
+                        details,
+                    );
+                }
+            }
+        }
+    }
 
-    // Parse all query params (with defaults)
-    const {
-        interval = '2000', // ms between events
-        eventType, // Custom event name (e.g., 'update')
-        retry, // Client retry ms
-        maxEvents = Infinity, // Max total events for this stream
-        largePayload, // Boolean: Add ~1MB data
-        errorAfter, // Send 500 after N events
-    } = req.query;
+    return details;
+}
 
-    // Convert strings to numbers safely
-    const intervalMs = parseInt(interval) || 2000;
+// Turns a raw query/path/header string into the schema's type; anything
+// that doesn't convert is returned unchanged so validation reports it
+function coerceParam(schema, raw) {
+    schema = resolveRef(schema) ?? {};
+    switch (schema.type) {
+        case 'integer':
+            return /^-?\d+$/.test(raw) ? Number(raw) : raw;
+        case 'number':
+            return raw.trim() !== '' && Number.isFinite(Number(raw))
+                ? Number(raw)
+                : raw;
+        case 'boolean':
+            return raw === 'true' ? true : raw === 'false' ? false : raw;
+        default:
+            return raw;
+    }
+}
 
-    const requestedMax = !isNaN(maxEvents) ? Number(maxEvents) : Infinity;
+// One matcher per documented path, static paths first so /sse/streams
+// never falls into a {param} route
+const specRoutes = Object.entries(swaggerDocument.paths ?? {})
+    .map(([specPath, item]) => ({
+        specPath,
+        item,
+        paramCount: (specPath.match(/\{/g) ?? []).length,
+        pattern: new RegExp(
+            '^' +
+                specPath
+                    .replace(/[.*+?^$()|[\]\\]/g, '\\$&')
+                    .replace(/\{(\w+)\}/g, '(?<$1>[^/]+)') +
+                '/?$',
+        ),
+    }))
+    .sort((a, b) => a.paramCount - b.paramCount);
 
-    const errorAfterNum = parseInt(errorAfter) || 0; // 0 = no error
+const HTTP_METHODS = [
+    'get',
+    'post',
+    'put',
+    'patch',
+    'delete',
+    'head',
+    'options',
+];
 
-    // Get or initialize shared state for this streamId
-    if (!streams.has(streamId)) {
-        state = {
-            events: [], // History for catch-up
-            timer: null, // Will start below
-            lastActivity: Date.now(),
-            eventCount: 0,
-            lastId: 0,
-            maxEvents: requestedMax, // Lock on first connection
-            intervalMs: intervalMs, // Lock interval too
-            connections: new Set(), // Track active connections
-            finished: false, // Explicit init
-        };
-        streams.set(streamId, state);
-        console.log(
-            `[New] Created stream: ${streamId} (maxEvents=${state.maxEvents})`,
-        );
-    } else {
-        state = streams.get(streamId);
-        // Warn if trying to change locked params
-        if (requestedMax !== Infinity && requestedMax !== state.maxEvents) {
-            console.warn(
-                `[Mismatch] For stream ${streamId}: maxEvents was ${state.maxEvents}, requested ${requestedMax} – using original`,
-            );
-        }
+function findSpecOperation(method, requestPath) {
+    for (const route of specRoutes) {
+        const match = route.pattern.exec(requestPath);
+        if (!match) continue;
+        const operation =
+            route.item[method.toLowerCase()] ??
+            (method === 'HEAD' ? route.item.get : undefined);
+        if (!operation) return null;
+        return { route, operation, pathParams: match.groups ?? {} };
     }
+    return null;
+}
 
-    // Update activity timestamp (resets 5-min timeout)
-    state.lastActivity = Date.now();
+function validateRequest(req, res, next) {
+    const found = findSpecOperation(req.method, req.path);
+    if (!found) return next();
+    const { route, operation, pathParams } = found;
+    const details = [];
 
-    // Track this connection
-    state.connections.add(res);
+    const parameters = [
+        ...(route.item.parameters ?? []),
+        ...(operation.parameters ?? []),
+    ].map(resolveRef);
+    for (const param of parameters) {
+        const location = `${param.in}.${param.name}`;
+        let raw;
+        if (param.in === 'path') {
+            try {
+                raw = decodeURIComponent(pathParams[param.name]);
+            } catch {
+                details.push({
+                    location,
+                    message: 'is not valid URL encoding',
+                });
+                continue;
+            }
+        } else if (param.in === 'query') {
+            raw = req.query[param.name];
+        } else if (param.in === 'header') {
+            raw = req.get(param.name);
+        } else {
+            continue;
+        }
 
-    // Start global event generator if not running and not finished
-    if (!state.timer && state.eventCount < state.maxEvents) {
-        state.timer = setInterval(() => {
-            // Check limits before generating
-            // In the interval (when generating events)
-            if (state.eventCount >= state.maxEvents) {
-                clearInterval(state.timer);
-                state.timer = null;
+        if (raw === undefined) {
+            if (param.required)
+                details.push({ location, message: 'is required' });
+            continue;
+        }
+        // ?a=1&a=2 and ?a[b]=1 arrive as arrays/objects
+        if (typeof raw !== 'string') {
+            details.push({
+                location,
+                message: 'must be given once, as a plain value',
+            });
+            continue;
+        }
+        validateSchema(
+            param.schema,
+            coerceParam(param.schema, raw),
+            location,
+            details,
+        );
+    }
 
-                // Send a final marker event (optional but very helpful)
-                sendEvent(
-                    res,
-                    {
-                        done: true,
-                        totalEvents: state.eventCount,
-                        message: 'Stream completed – no more events',
-                    },
-                    {
-                        id: state.lastId + 1,
-                        event: 'end',
-                        retry: 60000, // or whatever – gives breathing room
-                    },
+    const requestBody = resolveRef(operation.requestBody);
+    if (requestBody) {
+        if (req.body === undefined) {
+            if (requestBody.required) {
+                details.push({ location: 'body', message: 'is required' });
+            }
+        } else {
+            const types = Object.keys(requestBody.content ?? {});
+            const type = types.find((t) => req.is(t));
+            if (type) {
+                validateSchema(
+                    requestBody.content[type].schema,
+                    req.body,
+                    'body',
+                    details,
                 );
+            } else {
+                details.push({
+                    location: 'body',
+                    message: `must be sent as ${types.join(' or ')}`,
+                });
+            }
+        }
+    }
 
-                // Do NOT delete the stream here
-                // Instead mark it finished
-                state.finished = true;
-
-                // Close all active connections after delay (gives poll time)
-                setTimeout(() => {
-                    for (const conn of state.connections) {
-                        conn.end();
-                    }
-                    state.connections.clear();
-                    console.log(`[Finished] Closed all connections for ${streamId}`);
-                }, 1000); // 1s > poll interval (500ms)
-
-                console.log(
-                    `[Reached max] ${streamId} marked finished – waiting for reconnects to send 204`,
-                );
+    if (details.length === 0) return next();
 
-                return;
-            }
+    const error = details.map((d) => `${d.location} ${d.message}`).join('; ');
+    console.log(`[Validation] ${req.method} ${req.path}: ${error}`);
+    res.status(400).json({ error, details });
+}
 
-            generateEvent();
+app.use(validateRequest);
 
-            function generateEvent() {
-                state.eventCount++;
-                state.lastId++;
+// Warns at startup about drift between openapi.yml and the registered
+// routes: undocumented routes or methods, documented ones nothing serves,
+// and query params a handler reads (req.query.x or destructured from
+// req.query) that its operation doesn't declare. Params read inside shared
+// helpers (chaos, heartbeat, auth, ...) aren't seen by this check.
+function checkSpecCoverage() {
+    const served = new Set();
+    let warnings = 0;
+    const warn = (message) => {
+        warnings++;
+        console.warn(`[Spec] ${message}`);
+    };
 
-                let payload = {
-                    time: new Date().toISOString(),
-                    eventCount: state.eventCount,
-                    message: 'Test event',
-                };
+    for (const layer of app.router.stack) {
+        if (!layer.route || typeof layer.route.path !== 'string') continue;
+        const specPath = layer.route.path.replace(/:(\w+)/g, '{$1}');
+        const source = layer.route.stack
+            .map((l) => l.handle.toString())
+            .join('\n');
 
-                // Add large payload if requested
-                if (largePayload === 'true') {
-                    payload.largeData = 'x'.repeat(1024 * 1024); // ~1MB
-                }
+        for (const method of Object.keys(layer.route.methods)) {
+            const label = `${method.toUpperCase()} ${specPath}`;
+            served.add(label);
+            const operation = swaggerDocument.paths?.[specPath]?.[method];
+            if (!operation) {
+                warn(`${label} is not documented in openapi.yml`);
+                continue;
+            }
 
-                // Simulate error if reached errorAfter
-                if (errorAfterNum > 0 && state.eventCount === errorAfterNum) {
-                    // Note: This ends the stream globally – adjust if per-connection needed
-                    clearInterval(state.timer);
-                    state.timer = null;
-                    console.log(
-                        `[Error] Stream ${streamId} simulated error after ${state.eventCount} events`,
+            const declared = new Set(
+                [
+                    ...(swaggerDocument.paths[specPath].parameters ?? []),
+                    ...(operation.parameters ?? []),
+                ]
+                    .map(resolveRef)
+                    .filter((p) => p.in === 'query')
+                    .map((p) => p.name),
+            );
+            for (const name of queryParamsRead(source)) {
+                if (!declared.has(name)) {
+                    warn(
+                        `${label} reads query param "${name}" that openapi.yml doesn't declare`,
                     );
-                    // We can't send 500 here (since SSE is open) – instead, send error event
-                    const errorEvent = {
-                        id: state.lastId,
-                        data: { error: 'Simulated server error' },
-                        event: 'error',
-                    };
-                    state.events.push(errorEvent);
-                    return;
                 }
-
-                const event = {
-                    id: state.lastId,
-                    data: payload,
-                    event: eventType,
-                };
-                state.events.push(event);
-
-                // Limit history size to prevent memory growth
-                if (state.events.length > 2000) state.events.shift(); // Keep last 2000
             }
-        }, state.intervalMs);
+        }
     }
 
-    // Handle reconnection / catch-up
-    const lastEventId = req.headers['last-event-id']
-        ? parseInt(req.headers['last-event-id'])
-        : 0;
-    let lastSentId = lastEventId;
-
-    if (lastEventId > 0) {
-        const startIndex =
-            state.events.findIndex((e) => e.id === lastEventId) + 1;
-        if (startIndex > 0) {
-            // Send missed events
-            for (let i = startIndex; i < state.events.length; i++) {
-                const e = state.events[i];
-                sendEvent(res, e.data, { id: e.id, event: e.event, retry });
-                lastSentId = e.id;
+    for (const [specPath, item] of Object.entries(
+        swaggerDocument.paths ?? {},
+    )) {
+        for (const method of HTTP_METHODS) {
+            const label = `${method.toUpperCase()} ${specPath}`;
+            if (item[method] && !served.has(label)) {
+                warn(`${label} is documented in openapi.yml but not served`);
             }
-            sendEvent(
-                res,
-                { message: `Resumed from ID ${lastEventId}` },
-                { id: lastSentId + 1, retry },
-            );
-            lastSentId++;
-        } else {
-            lastSentId = -1;
-            sendEvent(
-                res,
-                { message: 'Last-Event-ID not found – starting live' },
-                { retry },
-            );
         }
-    } else {
-        sendEvent(res, { message: 'Connected to live stream' }, { retry });
     }
 
-    // Live tail: Poll for new events and send them
-    const liveInterval = setInterval(() => {
-        if (lastSentId < state.lastId) {
-            const newEvents = state.events.filter((e) => e.id > lastSentId);
-            newEvents.forEach((e) => {
-                sendEvent(res, e.data, { id: e.id, event: e.event, retry });
-                lastSentId = e.id;
-            });
-        }
-    }, 500); // Poll every 500ms – efficient for low latency
+    if (warnings === 0) console.log('[Spec] openapi.yml covers every route');
+}
 
-    // On client disconnect
-    req.on('close', () => {
-        clearInterval(liveInterval); // Stop this client's poller
-        // Do NOT stop global timer or wipe store – inactivity cleanup handles that
-        // But update activity one last time (optional, for grace period)
-        if (streams.has(streamId)) {
-            const state = streams.get(streamId);
-            state.connections.delete(res); // NEW: Remove from tracking
-            state.lastActivity = Date.now();
+// Query param names a handler's source reads directly
+function queryParamsRead(source) {
+    const names = new Set();
+    for (const [, dotted, quoted] of source.matchAll(
+        /req\.query(?:\.(\w+)|\[['"](\w+)['"]\])/g,
+    )) {
+        names.add(dotted ?? quoted);
+    }
+    for (const [, list] of source.matchAll(
+        /\{([^{}]*)\}\s*=\s*req\.query\b/g,
+    )) {
+        for (const entry of list.replace(/\/\/.*$/gm, '').split(',')) {
+            const name = /^\s*(\w+)/.exec(entry)?.[1];
+            if (name) names.add(name);
         }
-        res.end();
-    });
-});
-
-// Add this route anywhere in your app (preferably after the GET routes)
-app.delete('/sse/stream/:streamId', (req, res) => {
-    const { streamId } = req.params;
-
-    if (!streams.has(streamId)) {
-        return res.status(404).json({ error: `Stream ${streamId} not found` });
     }
+    return names;
+}
 
-    const state = streams.get(streamId);
+const eventStore = new Map(); // Key: streamId, Value: array of {id, data}
+const MAX_FILE_HISTORY = 500; // Chunks kept per file stream for resumption
 
-    // Stop generation
-    if (state.timer) {
-        clearInterval(state.timer);
-        state.timer = null;
-    }
+// Helper to send SSE-formatted data
+// The event is written in one piece so wrappers (e.g. chaos) see whole events
+function sendEvent(res, data, options = {}) {
+    let event = '';
+    if (options.id) event += `id: ${options.id}\n`;
+    if (options.event) event += `event: ${options.event}\n`;
+    if (options.retry) event += `retry: ${options.retry}\n`;
+    event += `data: ${JSON.stringify(data)}\n\n`;
+    const flushed = res.write(event);
+    res.flushHeaders(); // Ensure data is sent immediately
+    return flushed; // false means wait for 'drain', like res.write
+}
+
+function setStoreExpiration(streamId) {
+    // Clear any existing timer for this streamId
+    if (storeExpirations.has(streamId)) {
+        clock.clearTimeout(storeExpirations.get(streamId).timeout);
+    }
+    const timeout = clock.setTimeout(() => {
+        eventStore.delete(streamId);
+        storeExpirations.delete(streamId);
+        connectionLog.delete(streamId);
+        store.append({ type: 'file-delete', streamId });
+        incMetric('sse_streams_expired_total', { type: 'file' });
+        console.log(`Auto-expired inactive stream: ${streamId}`);
+    }, DEFAULT_TLS_MS);
+
+    storeExpirations.set(streamId, {
+        timeout,
+        expiresAt: clock.now() + DEFAULT_TLS_MS,
+    });
+}
+
+// ---- Network chaos ----
+// Per-connection faults, enabled via query params on streaming routes:
+//   throttle  – bandwidth cap in bytes/sec
+//   stallMs   – send headers, then no bytes at all for N ms
+//   jitterMs  – delay each event by a random 0..N ms (order is kept)
+//   dropAfter – destroy the socket halfway through event N+1
+//   dropRate  – probability (0–1) per event of a mid-event destroy
+const CHAOS_TICK_MS = 50;
+
+function parseChaosOptions(query) {
+    const chaos = {
+        throttle: Math.max(0, parseInt(query.throttle) || 0),
+        stallMs: Math.max(0, parseInt(query.stallMs) || 0),
+        jitterMs: Math.max(0, parseInt(query.jitterMs) || 0),
+        dropAfter: parseInt(query.dropAfter),
+        dropRate: Math.min(1, Math.max(0, parseFloat(query.dropRate) || 0)),
+    };
+    if (isNaN(chaos.dropAfter) || chaos.dropAfter < 0) chaos.dropAfter = null;
+
+    const enabled =
+        chaos.throttle ||
+        chaos.stallMs ||
+        chaos.jitterMs ||
+        chaos.dropAfter !== null ||
+        chaos.dropRate;
+    return enabled ? chaos : null;
+}
+
+// Replaces res.write/res.end with a queue that applies the chaos options.
+// Call after the SSE headers are set; no-op when no chaos param is present.
+function applyChaos(req, res, label) {
+    const chaos = parseChaosOptions(req.query);
+    if (!chaos) return;
+    const rng = requestRandom(req);
+
+    const write = res.write.bind(res);
+    const end = res.end.bind(res);
+    const queue = []; // { buf, releaseAt, destroyAfter, callback }
+    const tokenCap = Math.max(1, (chaos.throttle * CHAOS_TICK_MS) / 1000);
+
+    let tokens = tokenCap;
+    let lastRefill = clock.now();
+    let lastRelease = clock.now() + chaos.stallMs;
+    let eventCount = 0;
+    let dropping = false;
+    let ending = null; // Pending end() arguments
+    let needDrain = false; // A write returned false while events were queued
+    let timer = null;
+
+    const schedule = (ms) => {
+        if (!timer) timer = clock.setTimeout(pump, Math.max(0, ms));
+    };
+
+    function pump() {
+        timer = null;
+        if (res.destroyed) return;
+
+        const now = clock.now();
+        if (chaos.throttle) {
+            tokens = Math.min(
+                tokenCap,
+                tokens + (chaos.throttle * (now - lastRefill)) / 1000,
+            );
+            lastRefill = now;
+        }
+
+        while (queue.length) {
+            const item = queue[0];
+            if (item.releaseAt > now) return schedule(item.releaseAt - now);
+
+            let size = item.buf.length;
+            if (chaos.throttle) {
+                size = Math.min(size, Math.floor(tokens));
+                if (size === 0) return schedule(CHAOS_TICK_MS);
+                tokens -= size;
+            }
+
+            const piece = item.buf.subarray(0, size);
+            item.buf = item.buf.subarray(size);
+            if (item.buf.length > 0) {
+                write(piece);
+                return schedule(CHAOS_TICK_MS);
+            }
+
+            queue.shift();
+            if (item.destroyAfter) {
+                // Let the partial event reach the wire before cutting it
+                res.locals.disconnectReason = 'chaos-drop';
+                write(piece, () => res.destroy());
+                console.log(
+                    `[Chaos] ${label}: destroyed socket mid-event (event ${eventCount})`,
+                );
+                queue.length = 0;
+                return;
+            }
+            write(piece, item.callback);
+        }
+
+        // Queue empty: signal drain ourselves unless the socket will
+        if (needDrain && !res.writableNeedDrain) {
+            needDrain = false;
+            res.emit('drain');
+        }
+        if (ending) end(...ending);
+    }
+
+    res.write = (chunk, encoding, callback) => {
+        if (typeof encoding === 'function') [callback, encoding] = [encoding];
+        if (dropping || ending) return true;
+
+        const buf = Buffer.isBuffer(chunk)
+            ? chunk
+            : Buffer.from(chunk, encoding || 'utf8');
+        if (buf.length === 0) {
+            if (callback) process.nextTick(callback);
+            return true;
+        }
+
+        const item = { buf, releaseAt: lastRelease, callback };
+
+        // sendEvent writes whole events, so a trailing blank line marks one
+        // (comment-only writes such as heartbeats are not counted)
+        const isEvent =
+            buf[0] !== 0x3a &&
+            buf.length >= 2 &&
+            buf[buf.length - 1] === 0x0a &&
+            buf[buf.length - 2] === 0x0a;
+        if (isEvent) {
+            eventCount++;
+            const now = clock.now();
+            item.releaseAt = Math.max(
+                lastRelease,
+                now + rng() * chaos.jitterMs,
+            );
+            if (
+                (chaos.dropAfter !== null && eventCount > chaos.dropAfter) ||
+                rng() < chaos.dropRate
+            ) {
+                item.buf = buf.subarray(0, Math.ceil(buf.length / 2));
+                item.destroyAfter = true;
+                dropping = true;
+            }
+        }
+        lastRelease = item.releaseAt;
+
+        queue.push(item);
+        pump();
+        // Held-back bytes count as backpressure, so slow-consumer
+        // policies see a stalled or throttled connection as slow
+        if (queue.length === 0) return true;
+        needDrain = true;
+        return false;
+    };
+
+    res.end = (...args) => {
+        if (typeof args[0] === 'function' || args.length === 0) {
+            ending = args;
+        } else {
+            res.write(
+                args[0],
+                typeof args[1] === 'string' ? args[1] : undefined,
+            );
+            ending = args.slice(typeof args[1] === 'string' ? 2 : 1);
+        }
+        if (!dropping) pump();
+        return res;
+    };
+
+    req.on('close', () => {
+        clock.clearTimeout(timer);
+        queue.length = 0;
+    });
+
+    // Headers go out now, even if the first bytes are stalled
+    res.flushHeaders();
+    console.log(`[Chaos] ${label}: ${JSON.stringify(chaos)}`);
+}
+
+// ---- Metrics ----
+// Prometheus text format at GET /metrics. Counters and gauges are kept per
+// label set; per-stream figures are read from the stream maps at scrape time.
+const METRICS = {
+    sse_connections_active: [
+        'gauge',
+        'Open accepted (200) connections per route',
+    ],
+    sse_connections_total: ['counter', 'Connections accepted (200) per route'],
+    sse_events_sent_total: [
+        'counter',
+        'SSE events written (excludes comments)',
+    ],
+    sse_bytes_sent_total: ['counter', 'SSE bytes written, before compression'],
+    sse_reconnects_total: [
+        'counter',
+        'Reconnects to a stream, by whether Last-Event-ID was sent',
+    ],
+    sse_resume_total: [
+        'counter',
+        'Last-Event-ID lookups: hit (history found) or miss (starting live)',
+    ],
+    sse_streams_created_total: ['counter', 'Streams created'],
+    sse_streams_expired_total: ['counter', 'Streams removed by cleanup'],
+    sse_streams_deleted_total: ['counter', 'Streams deleted via the API'],
+    sse_rejected_total: [
+        'counter',
+        'Connections turned away: rate-limited, over-capacity or rejected',
+    ],
+    sse_event_write_latency_seconds: [
+        'histogram',
+        'Time from writing an event until it is flushed to the socket',
+    ],
+};
+const LATENCY_BUCKETS = [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5, 10];
+
+const metricValues = new Map(); // name → Map<labelKey, {labels, value}>
+const metricHistograms = new Map(); // name → Map<labelKey, {labels, counts, sum, count}>
+
+function metricSeries(map, name, labels) {
+    if (!map.has(name)) map.set(name, new Map());
+    const series = map.get(name);
+    const key = JSON.stringify(labels);
+    if (!series.has(key)) series.set(key, { labels });
+    return series.get(key);
+}
+
+function incMetric(name, labels = {}, by = 1) {
+    const entry = metricSeries(metricValues, name, labels);
+    entry.value = (entry.value ?? 0) + by;
+}
+
+function observeMetric(name, labels, value) {
+    const entry = metricSeries(metricHistograms, name, labels);
+    entry.counts ??= LATENCY_BUCKETS.map(() => 0);
+    entry.sum = (entry.sum ?? 0) + value;
+    entry.count = (entry.count ?? 0) + 1;
+    LATENCY_BUCKETS.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+    });
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(
+        ([key, value]) =>
+            `${key}="${String(value).replace(/[\\"]/g, '\\$&').replace(/\n/g, '\\n')}"`,
+    );
+    return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+// Counts connections, events, bytes and write latency for a streaming
+// route. Apply right after applyCompression so it sees uncompressed events.
+function applyMetrics(req, res, route) {
+    // A connection counts once it is answered with 200, so limit, auth
+    // and 204 rejections are left out (stalled streams still count)
+    let accepted = false;
+    const writeHead = res.writeHead.bind(res);
+    res.writeHead = (statusCode, ...args) => {
+        if (!accepted && statusCode === 200) {
+            accepted = true;
+            incMetric('sse_connections_total', { route });
+            incMetric('sse_connections_active', { route });
+        }
+        return writeHead(statusCode, ...args);
+    };
+    res.on('close', () => {
+        if (accepted) incMetric('sse_connections_active', { route }, -1);
+    });
+
+    const write = res.write.bind(res);
+    res.write = (chunk, encoding, callback) => {
+        if (typeof encoding === 'function') [callback, encoding] = [encoding];
+        incMetric(
+            'sse_bytes_sent_total',
+            { route },
+            Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk),
+        );
+
+        const text = Buffer.isBuffer(chunk) ? chunk.toString() : String(chunk);
+        // Whole events end with a blank line; comments start with ':'
+        if (!text.endsWith('\n\n') || text.startsWith(':')) {
+            return write(chunk, encoding, callback);
+        }
+
+        incMetric('sse_events_sent_total', { route });
+        const start = process.hrtime.bigint();
+        return write(chunk, encoding, (err) => {
+            if (!err) {
+                const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+                observeMetric(
+                    'sse_event_write_latency_seconds',
+                    { route },
+                    seconds,
+                );
+            }
+            callback?.(err);
+        });
+    };
+}
+
+function renderMetrics() {
+    const lines = [];
+    for (const [name, [type, help]] of Object.entries(METRICS)) {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        for (const { labels, value } of metricValues.get(name)?.values() ??
+            []) {
+            lines.push(`${name}${formatLabels(labels)} ${value}`);
+        }
+        for (const entry of metricHistograms.get(name)?.values() ?? []) {
+            LATENCY_BUCKETS.forEach((bound, i) => {
+                lines.push(
+                    `${name}_bucket${formatLabels({ ...entry.labels, le: bound })} ${entry.counts[i]}`,
+                );
+            });
+            lines.push(
+                `${name}_bucket${formatLabels({ ...entry.labels, le: '+Inf' })} ${entry.count}`,
+                `${name}_sum${formatLabels(entry.labels)} ${entry.sum}`,
+                `${name}_count${formatLabels(entry.labels)} ${entry.count}`,
+            );
+        }
+    }
+
+    // Per-stream figures, straight from the stream maps
+    const perStream = [
+        [
+            'sse_stream_connections',
+            'Open connections per /sse/test stream',
+            (s) => s.connections.size,
+        ],
+        [
+            'sse_stream_events',
+            'Events generated or published per /sse/test stream',
+            (s) => s.eventCount + s.publishedCount,
+        ],
+        [
+            'sse_stream_history_events',
+            'Events kept for catch-up per /sse/test stream',
+            (s) => s.events.length,
+        ],
+        [
+            'sse_stream_finished',
+            'Whether a /sse/test stream has finished',
+            (s) => (s.finished ? 1 : 0),
+        ],
+    ];
+    for (const [name, help, read] of perStream) {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+        for (const [streamId, state] of streams.entries()) {
+            lines.push(
+                `${name}${formatLabels({ stream_id: streamId })} ${read(state)}`,
+            );
+        }
+    }
+    lines.push(
+        '# HELP sse_file_stream_history_chunks Chunks kept for resumption per /sse/stream-file stream',
+        '# TYPE sse_file_stream_history_chunks gauge',
+    );
+    for (const [streamId, chunks] of eventStore.entries()) {
+        lines.push(
+            `sse_file_stream_history_chunks${formatLabels({ stream_id: streamId })} ${chunks.length}`,
+        );
+    }
+
+    lines.push(
+        '# HELP process_resident_memory_bytes Resident memory size in bytes',
+        '# TYPE process_resident_memory_bytes gauge',
+        `process_resident_memory_bytes ${process.memoryUsage().rss}`,
+        '# HELP process_uptime_seconds Seconds since the server started',
+        '# TYPE process_uptime_seconds gauge',
+        `process_uptime_seconds ${process.uptime()}`,
+    );
+    return lines.join('\n') + '\n';
+}
+
+// ---- Connection log ----
+// Every connection to a stream is recorded so tests can assert on client
+// reconnect behavior (retry honored, resumed from the right id, ...).
+const MAX_CONNECTION_RECORDS = 500; // Per stream
+
+const connectionLog = new Map();
+// streamId → Array<{
+//   id: number,                                   // Sequence within the stream
+//   route: string,
+//   status: 'open' | 'closed',
+//   statusCode: number | null,                    // Set once headers are sent
+//   connectedAt: string (ISO),
+//   disconnectedAt: string (ISO) | null,
+//   disconnectReason: string | null,              // client-closed, server-ended, ...
+//   reconnectDelayMs: number | null,              // Since the same address last disconnected
+//   remoteAddress: string,
+//   lastEventId: string | null,                   // Last-Event-ID request header
+//   retry: number | null,                         // Last retry: value sent
+//   headers: object,                              // Copy, without credentials
+//   bytesSent: number,
+//   eventsSent: number,
+// }>
+let connectionSeq = 0;
+const connectionResponses = new Map(); // streamId → Set of open responses, for kicks
+
+// Closes every open connection to a stream (end, or destroy to cut the
+// socket); returns how many were closed
+function kickConnections(streamId, reason, mode = 'end') {
+    const targets = [...(connectionResponses.get(streamId) ?? [])];
+    for (const target of targets) {
+        target.locals.disconnectReason = reason;
+        if (mode === 'destroy') target.destroy();
+        else target.end();
+    }
+    return targets.length;
+}
+
+// Request headers as kept in the log, which is exposed over HTTP – a
+// copy, without credentials
+const REDACTED_HEADERS = [
+    'authorization',
+    'proxy-authorization',
+    'cookie',
+    'x-api-key', // Accepted as an auth token too
+];
+
+function redactHeaders(headers) {
+    const copy = { ...headers };
+    for (const name of REDACTED_HEADERS) delete copy[name];
+    return copy;
+}
+
+// Records a connection; call before applyChaos so only bytes that actually
+// reach the socket are counted
+function trackConnection(req, res, streamId, route) {
+    if (!connectionLog.has(streamId)) connectionLog.set(streamId, []);
+    const records = connectionLog.get(streamId);
+
+    const remoteAddress = req.ip;
+    const now = clock.now();
+    const previous = records.findLast(
+        (r) => r.remoteAddress === remoteAddress && r.disconnectedAt,
+    );
+
+    const record = {
+        id: ++connectionSeq,
+        route,
+        status: 'open',
+        statusCode: null,
+        connectedAt: new Date(now).toISOString(),
+        disconnectedAt: null,
+        disconnectReason: null,
+        reconnectDelayMs: previous
+            ? now - Date.parse(previous.disconnectedAt)
+            : null,
+        remoteAddress,
+        lastEventId: req.headers['last-event-id'] ?? null,
+        retry: null,
+        headers: redactHeaders(req.headers),
+        bytesSent: 0,
+        eventsSent: 0,
+    };
+    records.push(record);
+    if (records.length > MAX_CONNECTION_RECORDS) records.shift();
+
+    if (!connectionResponses.has(streamId)) {
+        connectionResponses.set(streamId, new Set());
+    }
+    connectionResponses.get(streamId).add(res);
+
+    if (previous || record.lastEventId !== null) {
+        incMetric('sse_reconnects_total', {
+            route,
+            last_event_id: record.lastEventId !== null,
+        });
+    }
+
+    const count = (chunk) => {
+        record.statusCode = res.statusCode;
+        const text = Buffer.isBuffer(chunk) ? chunk.toString() : String(chunk);
+        record.bytesSent += Buffer.byteLength(text);
+        // Whole events end with a blank line; comments start with ':'
+        if (text.endsWith('\n\n') && !text.startsWith(':')) {
+            record.eventsSent++;
+        }
+        const retry = text.match(/(?:^|\n)retry: ?(\d+)/);
+        if (retry) record.retry = Number(retry[1]);
+    };
+
+    const write = res.write.bind(res);
+    res.write = (chunk, ...args) => {
+        count(chunk);
+        return write(chunk, ...args);
+    };
+    // A final chunk can also arrive via end(chunk)
+    const end = res.end.bind(res);
+    res.end = (chunk, ...args) => {
+        if (chunk != null && typeof chunk !== 'function') count(chunk);
+        return end(chunk, ...args);
+    };
+
+    res.on('close', () => {
+        record.status = 'closed';
+        record.statusCode = res.headersSent ? res.statusCode : null;
+        record.disconnectedAt = new Date(clock.now()).toISOString();
+        record.disconnectReason =
+            res.locals.disconnectReason ||
+            (res.writableFinished ? 'server-ended' : 'client-closed');
+
+        const open = connectionResponses.get(streamId);
+        open?.delete(res);
+        if (open?.size === 0) connectionResponses.delete(streamId);
+
+        // Rejected (401/403/429/503) connections to a stream that never came
+        // to exist would otherwise leave a log nothing cleans up
+        if (
+            !streams.has(streamId) &&
+            !eventStore.has(streamId) &&
+            !connectionResponses.has(streamId)
+        ) {
+            connectionLog.delete(streamId);
+        }
+    });
+}
+
+// ---- Overload simulation ----
+// Connection caps, per-IP connection rate limits and scripted rejections
+// for streaming routes. Limits start from env vars and can be changed at
+// runtime via PATCH /sse/limits; rejections carry Retry-After (seconds).
+const limits = {
+    maxConnections: parseInt(process.env.MAX_CONNECTIONS) || null, // Global, concurrent
+    maxStreamConnections: parseInt(process.env.MAX_STREAM_CONNECTIONS) || null,
+    rateLimit: parseInt(process.env.RATE_LIMIT) || null, // Connections per IP per window
+    rateLimitWindowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60000,
+    retryAfter: parseInt(process.env.OVERLOAD_RETRY_AFTER) || 5,
+};
+const openResponses = new Set(); // Admitted streaming responses
+const streamConnectionCounts = new Map(); // streamId → open connections
+const connectionAttempts = new Map(); // ip → admitted attempt times in the window
+const pendingRejections = new Map(); // streamId → { remaining, status, retryAfter }
+
+// Returns false (and responds) if the connection is turned away. Call
+// before applyAuth; streamId enables per-stream caps and rejections.
+function applyLimits(req, res, route, streamId = null) {
+    const label = streamId ? `${route} ${streamId}` : route;
+    const reject = (status, reason, error, retryAfter = limits.retryAfter) => {
+        res.locals.disconnectReason = reason;
+        incMetric('sse_rejected_total', { route, reason });
+        res.set('Retry-After', String(retryAfter));
+        res.status(status).json({ error, reason, retryAfter });
+        console.log(`[Overload] ${label}: ${status} ${reason}`);
+        return false;
+    };
+
+    // Nothing new is admitted while draining for shutdown
+    if (shutdownState) {
+        return reject(
+            503,
+            'shutting-down',
+            'Server is shutting down',
+            Math.ceil(shutdownState.retry / 1000),
+        );
+    }
+
+    // Scripted rejections fire regardless of load
+    const scripted = streamId && pendingRejections.get(streamId);
+    if (scripted) {
+        scripted.remaining--;
+        if (scripted.remaining <= 0) pendingRejections.delete(streamId);
+        return reject(
+            scripted.status,
+            'rejected',
+            `Stream ${streamId} is rejecting connections (${scripted.remaining} more)`,
+            scripted.retryAfter,
+        );
+    }
+
+    let recent = null; // This IP's admitted attempts in the window
+    if (limits.rateLimit) {
+        const now = clock.now();
+        recent = (connectionAttempts.get(req.ip) ?? []).filter(
+            (time) => now - time < limits.rateLimitWindowMs,
+        );
+        connectionAttempts.set(req.ip, recent);
+        if (recent.length >= limits.rateLimit) {
+            const retryAfter = Math.max(
+                1,
+                Math.ceil((recent[0] + limits.rateLimitWindowMs - now) / 1000),
+            );
+            return reject(
+                429,
+                'rate-limited',
+                `More than ${limits.rateLimit} connections in ${limits.rateLimitWindowMs} ms`,
+                retryAfter,
+            );
+        }
+    }
+
+    if (limits.maxConnections && openResponses.size >= limits.maxConnections) {
+        return reject(
+            503,
+            'over-capacity',
+            `Server is at its limit of ${limits.maxConnections} connections`,
+        );
+    }
+    const streamCount = streamConnectionCounts.get(streamId) ?? 0;
+    if (
+        streamId &&
+        limits.maxStreamConnections &&
+        streamCount >= limits.maxStreamConnections
+    ) {
+        return reject(
+            503,
+            'over-capacity',
+            `Stream ${streamId} is at its limit of ${limits.maxStreamConnections} connections`,
+        );
+    }
+
+    // Only admitted connections count against the IP's rate
+    recent?.push(clock.now());
+    openResponses.add(res);
+    if (streamId) streamConnectionCounts.set(streamId, streamCount + 1);
+    res.on('close', () => {
+        openResponses.delete(res);
+        if (!streamId) return;
+        const left = streamConnectionCounts.get(streamId) - 1;
+        if (left > 0) streamConnectionCounts.set(streamId, left);
+        else streamConnectionCounts.delete(streamId);
+    });
+    return true;
+}
+
+// ---- Auth simulation ----
+// Streaming routes require a bearer token when AUTH_REQUIRED=true or the
+// request has ?auth=required. Tokens are minted via POST /sse/auth/token and
+// may expire after N seconds or N delivered events, mid-stream.
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED === 'true';
+const AUTH_COOKIE = 'sse_token';
+
+const authTokens = new Map();
+// token → {
+//   createdAt: number,
+//   expiresAt: number | null,                     // From ttlSeconds
+//   maxEvents: number | null,                     // Events across all connections
+//   eventsDelivered: number,
+//   onExpire: 'close' | 'event',                  // Mid-stream expiry behavior
+//   revoked: boolean,
+// }
+
+// Bearer header, then ?token= / ?access_token=, then the sse_token cookie
+function readAuthToken(req) {
+    const header = req.headers.authorization;
+    if (header?.startsWith('Bearer ')) {
+        return { token: header.slice(7).trim(), source: 'header' };
+    }
+
+    // Anthropic-style SDKs send their key here instead
+    if (req.headers['x-api-key']) {
+        return { token: String(req.headers['x-api-key']), source: 'header' };
+    }
+
+    const queryToken = req.query.token || req.query.access_token;
+    if (queryToken) return { token: String(queryToken), source: 'query' };
+
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const [name, ...value] = part.trim().split('=');
+        if (name === AUTH_COOKIE && value.length) {
+            return {
+                token: decodeURIComponent(value.join('=')),
+                source: 'cookie',
+            };
+        }
+    }
+
+    return { token: null, source: null };
+}
+
+// Why a token is unusable, or null if it is fine
+function authTokenProblem(entry) {
+    if (!entry) return 'Invalid token';
+    if (entry.revoked) return 'Token revoked';
+    if (entry.expiresAt !== null && clock.now() >= entry.expiresAt) {
+        return 'Token expired';
+    }
+    if (entry.maxEvents !== null && entry.eventsDelivered >= entry.maxEvents) {
+        return 'Token event quota used up';
+    }
+    return null;
+}
+
+function authTokenSummary(token, entry) {
+    return {
+        token,
+        createdAt: new Date(entry.createdAt).toISOString(),
+        expiresAt: entry.expiresAt && new Date(entry.expiresAt).toISOString(),
+        maxEvents: entry.maxEvents,
+        eventsDelivered: entry.eventsDelivered,
+        onExpire: entry.onExpire,
+        revoked: entry.revoked,
+        valid: authTokenProblem(entry) === null,
+    };
+}
+
+// Rejects with 401/403 and returns false, or returns true and watches the
+// token for mid-stream expiry. Call before any stream headers are set.
+function applyAuth(req, res, label) {
+    if (!AUTH_REQUIRED && req.query.auth !== 'required') return true;
+
+    const { token, source } = readAuthToken(req);
+    if (!token) {
+        res.set('WWW-Authenticate', 'Bearer realm="sse-test-server"');
+        res.status(401).json({ error: 'Missing bearer token' });
+        console.log(`[Auth] ${label}: 401 missing token`);
+        return false;
+    }
+
+    const entry = authTokens.get(token);
+    const problem = authTokenProblem(entry);
+    if (problem) {
+        res.set(
+            'WWW-Authenticate',
+            'Bearer realm="sse-test-server", error="invalid_token"',
+        );
+        res.status(403).json({ error: problem });
+        console.log(`[Auth] ${label}: 403 ${problem.toLowerCase()}`);
+        return false;
+    }
+
+    let expired = false;
+    const expire = (reason) => {
+        if (expired || res.writableEnded || res.destroyed) return;
+        expired = true;
+        clock.clearTimeout(timer);
+        console.log(`[Auth] ${label}: ${reason} – ${entry.onExpire}`);
+        if (entry.onExpire === 'event') {
+            res.write(
+                `event: auth-expired\ndata: ${JSON.stringify({ reason })}\n\n`,
+            );
+        }
+        res.end();
+    };
+
+    const timer =
+        entry.expiresAt !== null
+            ? clock.setTimeout(
+                  () => expire('Token expired'),
+                  entry.expiresAt - clock.now(),
+              )
+            : null;
+
+    // Count whole events (not comments) against the token's quota
+    const write = res.write.bind(res);
+    res.write = (chunk, ...args) => {
+        const text = Buffer.isBuffer(chunk) ? chunk.toString() : String(chunk);
+        const result = write(chunk, ...args);
+        if (!expired && text.endsWith('\n\n') && !text.startsWith(':')) {
+            entry.eventsDelivered++;
+            if (
+                entry.maxEvents !== null &&
+                entry.eventsDelivered >= entry.maxEvents
+            ) {
+                // Deferred: we may be inside another wrapper's write
+                setImmediate(() => expire('Token event quota used up'));
+            }
+        }
+        return result;
+    };
+
+    res.on('close', () => clock.clearTimeout(timer));
+    console.log(`[Auth] ${label}: token accepted (via ${source})`);
+    return true;
+}
+
+// ---- Compression ----
+// Opt-in response compression for streaming routes:
+//   compress      – 'auto' (negotiate from Accept-Encoding) or force
+//                   'gzip' | 'deflate' | 'br'
+//   compressFlush – 'event' flushes the compressor after every write;
+//                   'buffer' never flushes, like a naive gzip middleware
+//                   that holds events until its window fills
+const COMPRESSION_ENCODINGS = ['br', 'gzip', 'deflate']; // Server preference
+
+function negotiateEncoding(acceptEncoding = '') {
+    const accepted = new Set();
+    for (const part of acceptEncoding.split(',')) {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        const q = params.find((p) => p.trim().startsWith('q='));
+        if (!q || parseFloat(q.trim().slice(2)) > 0) accepted.add(name);
+    }
+    return (
+        COMPRESSION_ENCODINGS.find(
+            (encoding) => accepted.has(encoding) || accepted.has('*'),
+        ) ?? null
+    );
+}
+
+function createCompressor(encoding) {
+    if (encoding === 'br') return zlib.createBrotliCompress();
+    if (encoding === 'deflate') return zlib.createDeflate();
+    return zlib.createGzip();
+}
+
+// Must be the first wrapper applied to res (before trackConnection, auth
+// and chaos) so the others still see uncompressed events. Compression only
+// kicks in if the response turns out to be a 200 event stream.
+function applyCompression(req, res, label) {
+    const mode = req.query.compress;
+    if (!mode) return;
+
+    const encoding =
+        mode === 'auto'
+            ? negotiateEncoding(req.headers['accept-encoding'])
+            : COMPRESSION_ENCODINGS.includes(mode)
+              ? mode
+              : null;
+    if (!encoding) return;
+
+    const flushEachWrite = req.query.compressFlush !== 'buffer';
+    const write = res.write.bind(res);
+    const end = res.end.bind(res);
+    const flushHeaders = res.flushHeaders.bind(res);
+    let compressor = null;
+    let decided = false;
+
+    // Decide once, right before the headers go out
+    const decide = () => {
+        if (decided) return;
+        decided = true;
+
+        const isStream = String(res.getHeader('Content-Type') || '').startsWith(
+            'text/event-stream',
+        );
+        if (res.headersSent || res.statusCode !== 200 || !isStream) return;
+
+        res.set({ 'Content-Encoding': encoding, Vary: 'Accept-Encoding' });
+        compressor = createCompressor(encoding);
+        compressor.on('data', (chunk) => write(chunk));
+        compressor.on('end', () => end());
+        res.on('close', () => compressor.destroy());
+        console.log(
+            `[Compression] ${label}: ${encoding} (${flushEachWrite ? 'flush per event' : 'buffered'})`,
+        );
+    };
+
+    res.flushHeaders = () => {
+        decide();
+        flushHeaders();
+    };
+
+    res.write = (chunk, encodingArg, callback) => {
+        decide();
+        if (!compressor) return write(chunk, encodingArg, callback);
+        if (typeof encodingArg === 'function')
+            [callback, encodingArg] = [encodingArg];
+
+        // With per-event flushing, callers waiting on the write (e.g. before a
+        // deliberate destroy) resume only once the bytes have been emitted
+        if (flushEachWrite) {
+            compressor.write(chunk, encodingArg);
+            compressor.flush(() => callback && write('', callback));
+        } else {
+            compressor.write(chunk, encodingArg, callback);
+        }
+        return !res.writableNeedDrain;
+    };
+
+    res.end = (chunk, encodingArg, callback) => {
+        decide();
+        if (!compressor) return end(chunk, encodingArg, callback);
+        if (typeof chunk === 'function') [callback, chunk] = [chunk];
+        if (typeof encodingArg === 'function')
+            [callback, encodingArg] = [encodingArg];
+
+        if (callback) res.once('finish', callback);
+        if (chunk) compressor.end(chunk, encodingArg);
+        else compressor.end();
+        return res;
+    };
+}
+
+// ---- Heartbeats ----
+// Keep-alive beats on streaming routes, enabled via query params:
+//   heartbeat          – beat interval in ms
+//   heartbeatMode      – 'comment' (": heartbeat N") or 'event' (named ping)
+//   heartbeatPadding   – extra bytes per beat (to push proxy buffers)
+//   heartbeatStopAfter – go silent after N beats to simulate a stalled server
+function applyHeartbeat(req, res, label) {
+    const intervalMs = parseInt(req.query.heartbeat);
+    if (!(intervalMs > 0)) return;
+
+    const mode = req.query.heartbeatMode === 'event' ? 'event' : 'comment';
+    const padding = 'x'.repeat(
+        Math.max(0, parseInt(req.query.heartbeatPadding) || 0),
+    );
+    const stopAfter = parseInt(req.query.heartbeatStopAfter) || Infinity;
+
+    let beats = 0;
+    const timer = clock.setInterval(() => {
+        if (res.writableEnded || res.destroyed)
+            return clock.clearInterval(timer);
+
+        beats++;
+        if (mode === 'event') {
+            // No id, so a beat never moves the client's Last-Event-ID
+            const data = padding ? { beat: beats, padding } : { beat: beats };
+            res.write(`event: ping\ndata: ${JSON.stringify(data)}\n\n`);
+        } else {
+            res.write(
+                `: heartbeat ${beats}${padding ? ' ' + padding : ''}\n\n`,
+            );
+        }
+
+        if (beats >= stopAfter) {
+            clock.clearInterval(timer);
+            console.log(
+                `[Heartbeat] ${label}: stopped after ${beats} beats (simulated stall)`,
+            );
+        }
+    }, intervalMs);
+
+    res.on('close', () => clock.clearInterval(timer));
+}
+
+// Global state for all streams
+const streams = new Map();
+// streamId → {
+//   streamId: string,
+//   events: array of {id, data, event: string?},  // Stored history for catch-up
+//   timer: NodeJS.Timeout | null,                 // Global interval for generating events
+//   generate: Function | null,                    // Generator tick run by timer
+//   paused: boolean,                              // Paused via PATCH /sse/stream/:streamId
+//   lastActivity: number (clock.now()),            // For inactivity timeout
+//   eventCount: number,                           // Total events generated so far
+//   lastId: number,                               // Last event ID
+//   maxEvents: number | Infinity,                 // Locked per-stream limit
+//   intervalMs: number,                           // Locked generation interval
+//   connections: Set<Response>,                   // Track active res for closure
+//   emitter: EventEmitter,                        // 'event' fires for every new event
+//   finished: boolean,                            // Existing, but used more consistently
+//   publishedCount: number,                       // Events injected via the publish API
+// };
+
+const MAX_STREAM_HISTORY = 2000;
+
+// What to do with a client whose socket buffer is full:
+//   buffer     – queue events per connection until 'drain', up to
+//                SLOW_CONSUMER_MAX_PENDING; past that it disconnects
+//   drop       – skip events until 'drain' (the client sees an id gap)
+//   disconnect – destroy the connection; it can resume via Last-Event-ID
+const SLOW_CONSUMER_POLICIES = ['buffer', 'drop', 'disconnect'];
+const DEFAULT_SLOW_CONSUMER_POLICY = SLOW_CONSUMER_POLICIES.includes(
+    process.env.SLOW_CONSUMER_POLICY,
+)
+    ? process.env.SLOW_CONSUMER_POLICY
+    : 'buffer';
+const SLOW_CONSUMER_MAX_PENDING =
+    parseInt(process.env.SLOW_CONSUMER_MAX_PENDING) || 1000;
+
+function createStreamState(
+    streamId,
+    { maxEvents, intervalMs, eventTopics = [] },
+) {
+    const state = {
+        streamId,
+        events: [], // History for catch-up
+        timer: null, // Started by the first connection
+        generate: null, // Generator tick, set by the first connection (after creation or restore)
+        paused: false, // Generation paused via the admin API
+        lastActivity: clock.now(),
+        eventCount: 0,
+        lastId: 0,
+        maxEvents, // Lock on first connection
+        intervalMs, // Lock interval too
+        connections: new Set(), // Track active connections
+        emitter: new EventEmitter(), // Pushes new events to subscribers
+        finished: false, // Explicit init
+        publishedCount: 0,
+        eventTopics, // Generated events rotate through these topics
+        subscriptions: new Map(), // subscriptionId → { id, topics, subscribers, generated }
+    };
+    state.emitter.setMaxListeners(0); // One listener per connection
+    streams.set(streamId, state);
+    return state;
+}
+
+// (Re)starts the generator with the stream's current interval
+function startGenerator(state) {
+    clock.clearInterval(state.timer);
+    state.timer = clock.setInterval(state.generate, state.intervalMs);
+}
+
+function stopGenerator(state) {
+    clock.clearInterval(state.timer);
+    state.timer = null;
+}
+
+// Sends the end event, marks the stream finished (reconnects get 204) and
+// closes all connections shortly after
+function finishStream(state, reason) {
+    const { streamId } = state;
+    stopGenerator(state);
+
+    // Send a final marker event to every subscriber (not stored)
+    const marker = {
+        id: state.lastId + 1,
+        data: {
+            done: true,
+            totalEvents: state.eventCount,
+            message: 'Stream completed – no more events',
+        },
+        event: 'end',
+        retry: 60000, // or whatever – gives breathing room
+        control: true, // Reaches every subscriber, whatever its topics
+    };
+    state.emitter.emit('event', marker);
+    noteActivity(streamId, 'test', marker);
+
+    // Do NOT delete the stream here
+    // Instead mark it finished
+    state.finished = true;
+    store.append({ type: 'finished', streamId });
+
+    // Close all active connections after delay (lets the end event flush)
+    clock.setTimeout(() => {
+        for (const conn of state.connections) {
+            conn.end();
+        }
+        state.connections.clear();
+        console.log(`[Finished] Closed all connections for ${streamId}`);
+    }, 1000);
+
+    console.log(
+        `[${reason}] ${streamId} marked finished – waiting for reconnects to send 204`,
+    );
+}
+
+// Clears history and counters; connections and config are kept
+function resetStreamState(state) {
+    state.events = [];
+    state.eventCount = 0;
+    state.lastId = 0;
+    state.publishedCount = 0;
+    state.finished = false;
+}
+
+// Append to a stream's history and push it to every subscriber.
+// Update the stream's counters first – they are persisted with the event.
+function appendStreamEvent(state, event) {
+    state.events.push(event);
+
+    // Limit history size to prevent memory growth
+    if (state.events.length > MAX_STREAM_HISTORY) state.events.shift();
+
+    store.append({
+        type: 'event',
+        streamId: state.streamId,
+        event,
+        eventCount: state.eventCount,
+        publishedCount: state.publishedCount,
+    });
+
+    state.emitter.emit('event', event);
+    noteActivity(state.streamId, 'test', event);
+}
+
+// History ids are strictly increasing, so a binary search finds the index
+// of an id (or -1) without scanning the whole history
+function findEventIndex(events, id) {
+    let low = 0;
+    let high = events.length - 1;
+    while (low <= high) {
+        const mid = (low + high) >>> 1;
+        if (events[mid].id === id) return mid;
+        if (events[mid].id < id) low = mid + 1;
+        else high = mid - 1;
+    }
+    return -1;
+}
+
+// Topics are dot-separated names (orders.eu.created). Subscribers filter with
+// comma-separated patterns: * matches one segment, ** any number of them
+// (including none), and a lone ** also matches events without a topic.
+const TOPIC_NAME = /^[\w-]+(\.[\w-]+)*$/;
+const TOPIC_PATTERN = /^(\*\*|\*|[\w-]+)(\.(\*\*|\*|[\w-]+))*$/;
+
+function parseTopicList(value) {
+    return String(value)
+        .split(',')
+        .map((topic) => topic.trim())
+        .filter(Boolean);
+}
+
+function topicMatches(pattern, topic) {
+    if (pattern === '**') return true;
+    if (topic === undefined) return false;
+    const want = pattern.split('.');
+    const have = topic.split('.');
+    const match = (i, j) => {
+        if (i === want.length) return j === have.length;
+        if (want[i] === '**') {
+            return match(i + 1, j) || (j < have.length && match(i, j + 1));
+        }
+        if (j === have.length) return false;
+        return (want[i] === '*' || want[i] === have[j]) && match(i + 1, j + 1);
+    };
+    return match(0, 0);
+}
+
+// Notices without an id and control events (end, simulated error) always
+// get through; everything else must match one of the subscription's topics
+function subscriberWants(subscriber, event) {
+    const { subscription } = subscriber;
+    if (!subscription || event.id === undefined || event.control) return true;
+    return subscription.topics.some((pattern) =>
+        topicMatches(pattern, event.topic),
+    );
+}
+
+// Finds or creates the connection's subscription. A known ?subscription= id
+// keeps the topics it has now (they may have changed since the URL was built),
+// so a reconnect resumes with the same filter. Named subscriptions live as
+// long as the stream; generated ones go with their last connection.
+function resolveSubscription(state, { topics, subscription: id }) {
+    if (topics === undefined && id === undefined) return null;
+
+    const existing = id !== undefined && state.subscriptions.get(id);
+    if (existing) return existing;
+
+    const subscription = {
+        id: id ?? randomId(),
+        topics: topics !== undefined ? parseTopicList(topics) : ['**'],
+        subscribers: new Set(),
+        generated: id === undefined, // No ?subscription= to reconnect with
+    };
+    state.subscriptions.set(subscription.id, subscription);
+    return subscription;
+}
+
+function subscriptionSummary(subscription) {
+    return {
+        id: subscription.id,
+        topics: subscription.topics,
+        connections: subscription.subscribers.size,
+    };
+}
+
+// Writes an event to one subscriber, honoring its slow-consumer policy
+function deliverToSubscriber(subscriber, event) {
+    const { res } = subscriber;
+    if (res.destroyed) return;
+
+    if (subscriber.blocked) {
+        if (subscriber.policy === 'drop') {
+            subscriber.dropped++;
+        } else if (subscriber.pending.length >= SLOW_CONSUMER_MAX_PENDING) {
+            // A stalled client must not grow server memory without bound
+            console.warn(
+                `[Slow consumer] ${subscriber.label}: ${subscriber.pending.length} events buffered, disconnecting`,
+            );
+            subscriber.pending = [];
+            res.locals.disconnectReason = 'slow-consumer';
+            res.destroy();
+        } else {
+            subscriber.pending.push(event);
+        }
+        return;
+    }
+
+    const flushed = sendEvent(res, event.data, {
+        id: event.id,
+        event: event.event,
+        retry: event.retry ?? subscriber.retry,
+    });
+
+    if (flushed && !res.writableNeedDrain) return;
+
+    if (subscriber.policy === 'disconnect') {
+        console.warn(
+            `[Slow consumer] ${subscriber.label}: disconnecting at id ${event.id}`,
+        );
+        res.locals.disconnectReason = 'slow-consumer';
+        res.destroy();
+        return;
+    }
+
+    subscriber.blocked = true;
+    res.once('drain', () => {
+        subscriber.blocked = false;
+        if (subscriber.dropped > 0) {
+            console.warn(
+                `[Slow consumer] ${subscriber.label}: dropped ${subscriber.dropped} event(s)`,
+            );
+            subscriber.dropped = 0;
+        }
+        while (subscriber.pending.length > 0 && !subscriber.blocked) {
+            deliverToSubscriber(subscriber, subscriber.pending.shift());
+        }
+    });
+}
+
+// Constants for cleanup
+const INACTIVITY_TIMEOUT_MS = 5 * 60 * 1000; // 5 minutes of no connections → cleanup
+const FINISHED_GRACE_MS = 30 * 60 * 1000; // Finished streams linger for 204s
+
+// Background cleanup for finished + inactive streams (e.g. every 5 min)
+function cleanupStreams() {
+    const now = clock.now();
+    for (const [streamId, state] of streams.entries()) {
+        if (state.finished && now - state.lastActivity > FINISHED_GRACE_MS) {
+            // 30 min grace after finish
+            streams.delete(streamId);
+            storeExpirations.delete(streamId);
+            connectionLog.delete(streamId);
+            store.append({ type: 'delete', streamId });
+            incMetric('sse_streams_expired_total', { type: 'test' });
+            console.log(
+                `[Cleanup] Removed finished stream ${streamId} after grace period`,
+            );
+        } else if (
+            state.connections.size === 0 &&
+            now - state.lastActivity > INACTIVITY_TIMEOUT_MS
+        ) {
+            // Existing inactivity logic for non-finished streams; lastActivity
+            // only moves on connect/disconnect, so skip streams still in use
+            if (state) clock.clearInterval(state.timer);
+            streams.delete(streamId);
+            storeExpirations.delete(streamId);
+            connectionLog.delete(streamId);
+            store.append({ type: 'delete', streamId });
+            incMetric('sse_streams_expired_total', { type: 'test' });
+            console.log(`[Cleanup] Inactive stream expired: ${streamId}`);
+        }
+    }
+
+    // Forget tokens an hour after they stopped being usable by time
+    for (const [token, entry] of authTokens.entries()) {
+        if (
+            entry.expiresAt !== null &&
+            now - entry.expiresAt > 60 * 60 * 1000
+        ) {
+            authTokens.delete(token);
+        }
+    }
+
+    // Drop rate-limit bookkeeping for addresses that went quiet
+    for (const [ip, times] of connectionAttempts.entries()) {
+        if (!times.some((time) => now - time < limits.rateLimitWindowMs)) {
+            connectionAttempts.delete(ip);
+        }
+    }
+}
+let cleanupTimer = clock.setInterval(cleanupStreams, INACTIVITY_TIMEOUT_MS);
+
+// ---- Storage ----
+// Stream state and history are mirrored to a pluggable store so they can be
+// rebuilt at boot. Backends share one interface:
+//   load()          – records to replay, oldest first
+//   append(record)  – persist one record
+//   compact(records)– replace everything with a minimal snapshot
+//   flush()         – Promise resolved once pending writes are on disk
+//
+// Records: { type: 'stream', streamId, maxEvents, intervalMs, eventTopics?, paused? }
+//          { type: 'config', streamId, maxEvents, intervalMs, paused }
+//          { type: 'event', streamId, event, eventCount, publishedCount }
+//          { type: 'finished' | 'reset' | 'delete' | 'file-delete', streamId }
+//          { type: 'file-chunk', streamId, event }
+//          { type: 'file-reset', streamId }
+const STORE_BACKEND = process.env.STORE_BACKEND || 'memory'; // memory | file
+const STORE_FILE = process.env.STORE_FILE || './data/store.jsonl';
+
+// Default: nothing survives a restart (the original behavior)
+function createMemoryStore() {
+    return {
+        name: 'memory',
+        load: () => [],
+        append: () => {},
+        compact: () => {},
+        flush: () => Promise.resolve(),
+    };
+}
+
+// Append-only JSON Lines file, compacted at boot
+function createFileStore(file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    let out = fs.createWriteStream(file, { flags: 'a' });
+
+    return {
+        name: `file (${file})`,
+        load() {
+            if (!fs.existsSync(file)) return [];
+            const records = [];
+            const lines = fs.readFileSync(file, 'utf8').split('\n');
+            for (const [i, line] of lines.entries()) {
+                if (!line.trim()) continue;
+                try {
+                    records.push(JSON.parse(line));
+                } catch {
+                    // A crash can leave a torn last line behind
+                    console.warn(`[Store] Skipped unreadable line ${i + 1}`);
+                }
+            }
+            return records;
+        },
+        append(record) {
+            // JSON has no Infinity; null stands for "no limit"
+            out.write(
+                JSON.stringify(record, (key, value) =>
+                    value === Infinity ? null : value,
+                ) + '\n',
+            );
+        },
+        compact(records) {
+            out.end();
+            const tmp = `${file}.tmp`;
+            fs.writeFileSync(
+                tmp,
+                records.map((r) => JSON.stringify(r) + '\n').join(''),
+            );
+            fs.renameSync(tmp, file);
+            out = fs.createWriteStream(file, { flags: 'a' });
+        },
+        flush() {
+            // Write callbacks run in order, so this one fires last
+            return new Promise((resolve) => out.write('', resolve));
+        },
+    };
+}
+
+const store =
+    STORE_BACKEND === 'file'
+        ? createFileStore(STORE_FILE)
+        : createMemoryStore();
+
+// Rebuilds streams and eventStore from the store, then compacts it
+function restoreFromStore() {
+    const records = store.load();
+    if (records.length === 0) return;
+
+    for (const record of records) {
+        const { streamId } = record;
+        const state = streams.get(streamId);
+
+        switch (record.type) {
+            case 'stream':
+                createStreamState(streamId, {
+                    maxEvents: record.maxEvents ?? Infinity,
+                    intervalMs: record.intervalMs,
+                    eventTopics: record.eventTopics,
+                }).paused = !!record.paused;
+                break;
+            case 'config':
+                if (!state) break;
+                state.maxEvents = record.maxEvents ?? Infinity;
+                state.intervalMs = record.intervalMs;
+                state.paused = record.paused;
+                break;
+            case 'reset':
+                if (state) resetStreamState(state);
+                break;
+            case 'event':
+                if (!state) break;
+                state.events.push(record.event);
+                if (state.events.length > MAX_STREAM_HISTORY) {
+                    state.events.shift();
+                }
+                state.lastId = Math.max(state.lastId, record.event.id);
+                state.eventCount = record.eventCount;
+                state.publishedCount = record.publishedCount;
+                break;
+            case 'finished':
+                if (state) state.finished = true;
+                break;
+            case 'delete':
+                streams.delete(streamId);
+                break;
+            case 'file-chunk': {
+                if (!eventStore.has(streamId)) eventStore.set(streamId, []);
+                const stored = eventStore.get(streamId);
+                stored.push(record.event);
+                if (stored.length > MAX_FILE_HISTORY) stored.shift();
+                break;
+            }
+            case 'file-delete':
+            case 'file-reset':
+                eventStore.delete(streamId);
+                break;
+        }
+    }
+
+    // Restored file streams get a fresh expiration window
+    for (const streamId of eventStore.keys()) setStoreExpiration(streamId);
+
+    const snapshot = [];
+    for (const state of streams.values()) {
+        snapshot.push({
+            type: 'stream',
+            streamId: state.streamId,
+            maxEvents: state.maxEvents === Infinity ? null : state.maxEvents,
+            intervalMs: state.intervalMs,
+            eventTopics: state.eventTopics,
+            paused: state.paused,
+        });
+        for (const event of state.events) {
+            snapshot.push({
+                type: 'event',
+                streamId: state.streamId,
+                event,
+                eventCount: state.eventCount,
+                publishedCount: state.publishedCount,
+            });
+        }
+        if (state.finished) {
+            snapshot.push({ type: 'finished', streamId: state.streamId });
+        }
+    }
+    for (const [streamId, stored] of eventStore.entries()) {
+        for (const event of stored) {
+            snapshot.push({ type: 'file-chunk', streamId, event });
+        }
+    }
+    store.compact(snapshot);
+
+    console.log(
+        `[Store] Restored ${streams.size} stream(s) and ${eventStore.size} file stream(s) from ${store.name}`,
+    );
+}
+
+restoreFromStore();
+
+const yamlContent = fs.readFileSync('./openapi.yml', 'utf8');
+
+app.get('/openapi.yml', (req, res) => {
+    res.type('text/yaml');
+    res.set('Content-Disposition', 'inline');
+    res.send(yamlContent);
+});
+
+// Basic test stream: Sends periodic events with optional configs via query params
+app.get('/sse/test', (req, res) => {
+    const streamId = req.query.streamId || 'default';
+    applyCompression(req, res, `/sse/test ${streamId}`);
+    applyMetrics(req, res, '/sse/test');
+    trackConnection(req, res, streamId, '/sse/test');
+    if (!applyLimits(req, res, '/sse/test', streamId)) return;
+    if (!applyAuth(req, res, `/sse/test ${streamId}`)) return;
+
+    // ─── Early check: if already finished → 204 immediately (stops reconnects) ───
+    let state = streams.get(streamId);
+    if (state?.finished === true) {
+        res.status(204).end();
+        console.log(
+            `[204 No Content] Finished stream ${streamId} – no retry allowed`,
+        );
+        return;
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+    });
+    applyChaos(req, res, `/sse/test ${streamId}`);
+    applyHeartbeat(req, res, `/sse/test ${streamId}`);
+
+    // Parse all query params (with defaults)
+    const {
+        interval = '2000', // ms between events
+        eventType, // Custom event name (e.g., 'update')
+        retry, // Client retry ms
+        maxEvents = Infinity, // Max total events for this stream
+        largePayload, // Boolean: Add ~1MB data
+        errorAfter, // Send 500 after N events
+        slowConsumer = DEFAULT_SLOW_CONSUMER_POLICY, // buffer | drop | disconnect
+        eventTopics, // Comma-separated topics generated events rotate through
+    } = req.query;
+
+    // Convert strings to numbers safely
+    const intervalMs = parseInt(interval) || 2000;
+
+    const requestedMax = !isNaN(maxEvents) ? Number(maxEvents) : Infinity;
+
+    const errorAfterNum = parseInt(errorAfter) || 0; // 0 = no error
+
+    // Get or initialize shared state for this streamId
+    if (!streams.has(streamId)) {
+        state = createStreamState(streamId, {
+            maxEvents: requestedMax,
+            intervalMs,
+            eventTopics: eventTopics ? parseTopicList(eventTopics) : [],
+        });
+        store.append({
+            type: 'stream',
+            streamId,
+            maxEvents: requestedMax,
+            intervalMs,
+            eventTopics: state.eventTopics,
+        });
+        incMetric('sse_streams_created_total', { type: 'test' });
+        console.log(
+            `[New] Created stream: ${streamId} (maxEvents=${state.maxEvents})`,
+        );
+    } else {
+        state = streams.get(streamId);
+        // Warn if trying to change locked params
+        if (requestedMax !== Infinity && requestedMax !== state.maxEvents) {
+            console.warn(
+                `[Mismatch] For stream ${streamId}: maxEvents was ${state.maxEvents}, requested ${requestedMax} – using original`,
+            );
+        }
+    }
+
+    // Update activity timestamp (resets 5-min timeout)
+    state.lastActivity = clock.now();
+
+    // Track this connection
+    state.connections.add(res);
+
+    // Kept on the state so the admin API can pause/resume/re-time it. The
+    // first connection's eventType/largePayload/errorAfter stay in force for
+    // every later restart; a stream restored from the store (even a paused
+    // one) gets its generator from the first connection after the restore.
+    state.generate ??= () => {
+        // Check limits before generating
+        // In the interval (when generating events)
+        if (state.eventCount >= state.maxEvents) {
+            finishStream(state, 'Reached max');
+            return;
+        }
+
+        generateEvent();
+
+        function generateEvent() {
+            state.eventCount++;
+            state.lastId++;
+
+            const topic = state.eventTopics.length
+                ? state.eventTopics[
+                      (state.eventCount - 1) % state.eventTopics.length
+                  ]
+                : undefined;
+
+            let payload = {
+                time: eventTimestamp(),
+                eventCount: state.eventCount,
+                topic,
+                message: 'Test event',
+            };
+
+            // Add large payload if requested
+            if (largePayload === 'true') {
+                payload.largeData = 'x'.repeat(1024 * 1024); // ~1MB
+            }
+
+            // Simulate error if reached errorAfter
+            if (errorAfterNum > 0 && state.eventCount === errorAfterNum) {
+                // Note: This ends the stream globally – adjust if per-connection needed
+                clock.clearInterval(state.timer);
+                state.timer = null;
+                console.log(
+                    `[Error] Stream ${streamId} simulated error after ${state.eventCount} events`,
+                );
+                // We can't send 500 here (since SSE is open) – instead, send error event
+                const errorEvent = {
+                    id: state.lastId,
+                    data: { error: 'Simulated server error' },
+                    event: 'error',
+                    control: true, // Stream-wide, so topic filters don't hide it
+                };
+                appendStreamEvent(state, errorEvent);
+                return;
+            }
+
+            const event = {
+                id: state.lastId,
+                data: payload,
+                event: eventType,
+                topic,
+            };
+            appendStreamEvent(state, event);
+        }
+    };
+
+    // Start global event generator if not running, paused or finished
+    if (!state.timer && !state.paused && state.eventCount < state.maxEvents) {
+        startGenerator(state);
+    }
+
+    const subscriber = {
+        res,
+        retry,
+        label: `${streamId} (${req.ip})`,
+        policy: SLOW_CONSUMER_POLICIES.includes(slowConsumer)
+            ? slowConsumer
+            : DEFAULT_SLOW_CONSUMER_POLICY,
+        blocked: false, // Waiting for 'drain'
+        pending: [], // Events held back by the buffer policy
+        dropped: 0, // Events skipped by the drop policy
+        // ?topics= / ?subscription= filter; null receives every event
+        subscription: resolveSubscription(state, req.query),
+    };
+    subscriber.subscription?.subscribers.add(subscriber);
+    const filter = subscriber.subscription && {
+        subscription: subscriber.subscription.id,
+        topics: subscriber.subscription.topics,
+    };
+
+    // Fresh connections (and unknown Last-Event-IDs) get the whole
+    // retained history first, as they always have
+    const replayHistory = () => {
+        for (const event of state.events) {
+            if (subscriberWants(subscriber, event)) {
+                deliverToSubscriber(subscriber, event);
+            }
+        }
+    };
+
+    // Handle reconnection / catch-up
+    const lastEventId = req.headers['last-event-id']
+        ? parseInt(req.headers['last-event-id'])
+        : 0;
+
+    if (lastEventId > 0) {
+        const index = findEventIndex(state.events, lastEventId);
+        incMetric('sse_resume_total', {
+            route: '/sse/test',
+            result: index >= 0 ? 'hit' : 'miss',
+        });
+        if (index >= 0) {
+            // Send missed events (only those this subscription wants)
+            for (let i = index + 1; i < state.events.length; i++) {
+                if (subscriberWants(subscriber, state.events[i])) {
+                    deliverToSubscriber(subscriber, state.events[i]);
+                }
+            }
+            // No id here, so the client's Last-Event-ID stays on a real event.
+            // Queued behind the catch-up if the buffer policy is holding it.
+            deliverToSubscriber(subscriber, {
+                data: { message: `Resumed from ID ${lastEventId}`, ...filter },
+            });
+        } else {
+            sendEvent(
+                res,
+                {
+                    message: 'Last-Event-ID not found – starting live',
+                    ...filter,
+                },
+                { retry },
+            );
+            replayHistory();
+        }
+    } else {
+        sendEvent(
+            res,
+            { message: 'Connected to live stream', ...filter },
+            { retry },
+        );
+        replayHistory();
+    }
+
+    // Live tail: every new event is pushed as soon as it is appended
+    const onEvent = (event) => {
+        if (subscriberWants(subscriber, event)) {
+            deliverToSubscriber(subscriber, event);
+        }
+    };
+    state.emitter.on('event', onEvent);
+
+    // On client disconnect
+    req.on('close', () => {
+        state.emitter.off('event', onEvent); // Stop pushing to this client
+        const { subscription } = subscriber;
+        subscription?.subscribers.delete(subscriber);
+        if (subscription?.generated && subscription.subscribers.size === 0) {
+            state.subscriptions.delete(subscription.id);
+        }
+        // Do NOT stop global timer or wipe store – inactivity cleanup handles that
+        // But update activity one last time (optional, for grace period)
+        if (streams.has(streamId)) {
+            const state = streams.get(streamId);
+            state.connections.delete(res); // NEW: Remove from tracking
+            state.lastActivity = clock.now();
+        }
+        res.end();
+    });
+});
+
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderMetrics());
+});
+
+// ---- Clock administration ----
+function clockSummary() {
+    return {
+        mode: CLOCK_MODE,
+        now: new Date(clock.now()).toISOString(),
+        nowMs: clock.now(),
+        seeded: SEED !== undefined,
+        pendingTimers: clock.pending?.() ?? null, // Virtual clock only
+        nextTimerAt:
+            clock.nextAt?.() != null
+                ? new Date(clock.nextAt()).toISOString()
+                : null,
+    };
+}
+
+app.get('/sse/clock', (req, res) => {
+    res.json(clockSummary());
+});
+
+// Moves the virtual clock forward by { ms } or to { to: ISO date },
+// firing every timer that falls due on the way
+app.post('/sse/clock/advance', async (req, res) => {
+    if (CLOCK_MODE !== 'virtual') {
+        return res.status(409).json({
+            error: 'The clock can only be advanced with CLOCK_MODE=virtual',
+            mode: CLOCK_MODE,
+        });
+    }
+
+    const { ms, to } = req.body ?? {};
+    const deltaMs = to !== undefined ? Date.parse(to) - clock.now() : ms;
+    if (!Number.isFinite(deltaMs) || deltaMs < 0) {
+        return res.status(400).json({
+            error: '"ms" must be a non-negative number, or "to" an ISO date not in the past',
+        });
+    }
+
+    const fired = await clock.advance(deltaMs);
+    console.log(
+        `[Clock] Advanced ${deltaMs} ms to ${new Date(clock.now()).toISOString()} (${fired} timers fired)`,
+    );
+    res.json({ advancedMs: deltaMs, timersFired: fired, ...clockSummary() });
+});
+
+// ---- Overload administration ----
+function limitsSummary() {
+    return {
+        ...limits,
+        openConnections: openResponses.size,
+        streamConnections: Object.fromEntries(streamConnectionCounts),
+        pendingRejections: Object.fromEntries(pendingRejections),
+    };
+}
+
+app.get('/sse/limits', (req, res) => {
+    res.json(limitsSummary());
+});
+
+// Body fields replace the current limits; null turns a cap or rate limit off
+app.patch('/sse/limits', (req, res) => {
+    const changes = req.body ?? {};
+    for (const [key, value] of Object.entries(changes)) {
+        if (!(key in limits)) {
+            return res.status(400).json({ error: `Unknown limit: ${key}` });
+        }
+        const nullable = !['rateLimitWindowMs', 'retryAfter'].includes(key);
+        const min = key === 'retryAfter' ? 0 : 1;
+        if (
+            !(value === null && nullable) &&
+            !(Number.isInteger(value) && value >= min)
+        ) {
+            return res.status(400).json({
+                error: `${key} must be an integer >= ${min}${nullable ? ' or null' : ''}`,
+            });
+        }
+    }
+
+    Object.assign(limits, changes);
+    console.log(`[Overload] Limits updated: ${JSON.stringify(changes)}`);
+    res.json(limitsSummary());
+});
+
+// Turn away the next `count` connections to a stream (it needn't exist yet)
+// Body: { count?: number, status?: number, retryAfter?: number }
+app.post('/sse/stream/:streamId/reject', (req, res) => {
+    const { streamId } = req.params;
+    const {
+        count = 1,
+        status = 503,
+        retryAfter = limits.retryAfter,
+    } = req.body ?? {};
+
+    if (!Number.isInteger(count) || count < 1) {
+        return res.status(400).json({ error: 'count must be an integer >= 1' });
+    }
+    if (!Number.isInteger(status) || status < 400 || status > 599) {
+        return res
+            .status(400)
+            .json({ error: 'status must be a 4xx or 5xx code' });
+    }
+    if (!Number.isInteger(retryAfter) || retryAfter < 0) {
+        return res
+            .status(400)
+            .json({ error: 'retryAfter must be an integer >= 0 (seconds)' });
+    }
+
+    pendingRejections.set(streamId, { remaining: count, status, retryAfter });
+    console.log(
+        `[Overload] ${streamId}: rejecting the next ${count} connections with ${status}`,
+    );
+    res.status(201).json({ streamId, remaining: count, status, retryAfter });
+});
+
+app.delete('/sse/stream/:streamId/reject', (req, res) => {
+    const { streamId } = req.params;
+    const pending = pendingRejections.get(streamId);
+    if (!pending) {
+        return res
+            .status(404)
+            .json({ error: `No pending rejections for ${streamId}` });
+    }
+    pendingRejections.delete(streamId);
+    res.json({ streamId, cleared: pending.remaining });
+});
+
+// Add this route anywhere in your app (preferably after the GET routes)
+app.delete('/sse/stream/:streamId', (req, res) => {
+    const { streamId } = req.params;
+
+    if (!streams.has(streamId) && eventStore.has(streamId)) {
+        clock.clearTimeout(storeExpirations.get(streamId)?.timeout);
+        storeExpirations.delete(streamId);
+        const chunks = eventStore.get(streamId).length;
+        eventStore.delete(streamId);
+        store.append({ type: 'file-delete', streamId });
+        incMetric('sse_streams_deleted_total', { type: 'file' });
+        const disconnected = kickConnections(streamId, 'deleted');
+
+        console.log(`[Manual Cleanup] Deleted file stream: ${streamId}`);
+        return res.status(200).json({
+            message: `File stream ${streamId} deleted successfully`,
+            chunks,
+            disconnected,
+        });
+    }
+
+    if (!streams.has(streamId)) {
+        return res.status(404).json({ error: `Stream ${streamId} not found` });
+    }
+
+    const state = streams.get(streamId);
+
+    // Stop generation
+    if (state.timer) {
+        clock.clearInterval(state.timer);
+        state.timer = null;
+    }
 
     // Wipe the store
     streams.delete(streamId);
+    store.append({ type: 'delete', streamId });
+    incMetric('sse_streams_deleted_total', { type: 'test' });
+    // Subscribers would otherwise sit on a silent stream; closed, they
+    // reconnect and start over on a fresh one
+    const disconnected = kickConnections(streamId, 'deleted');
+
+    console.log(`[Manual Cleanup] Deleted stream: ${streamId}`);
+
+    res.status(200).json({
+        message: `Stream ${streamId} stopped and deleted successfully`,
+        wasActive: !!state.timer,
+        eventCount: state.eventCount,
+        lastId: state.lastId,
+        disconnected,
+    });
+});
+
+// ---- Stream administration ----
+
+function streamSummary(state) {
+    const now = clock.now();
+    const ttl = state.finished ? FINISHED_GRACE_MS : INACTIVITY_TIMEOUT_MS;
+    return {
+        streamId: state.streamId,
+        type: 'test',
+        state: state.finished
+            ? 'finished'
+            : state.paused
+              ? 'paused'
+              : state.timer
+                ? 'running'
+                : 'idle',
+        eventCount: state.eventCount,
+        publishedCount: state.publishedCount,
+        lastId: state.lastId,
+        historySize: state.events.length,
+        maxEvents: state.maxEvents === Infinity ? null : state.maxEvents,
+        intervalMs: state.intervalMs,
+        eventTopics: state.eventTopics,
+        connections: state.connections.size,
+        subscriptions: [...state.subscriptions.values()].map(
+            subscriptionSummary,
+        ),
+        paused: state.paused,
+        finished: state.finished,
+        lastActivity: new Date(state.lastActivity).toISOString(),
+        // Eligible for cleanup after this; the sweep runs every 5 minutes
+        expiresInMs: Math.max(0, ttl - (now - state.lastActivity)),
+    };
+}
+
+function fileStreamSummary(streamId) {
+    const stored = eventStore.get(streamId);
+    const expiration = storeExpirations.get(streamId);
+    return {
+        streamId,
+        type: 'file',
+        historySize: stored.length,
+        firstId: stored[0]?.id ?? null,
+        lastId: stored.at(-1)?.id ?? null,
+        expiresInMs: expiration
+            ? Math.max(0, expiration.expiresAt - clock.now())
+            : null,
+    };
+}
+
+app.get('/sse/streams', (req, res) => {
+    res.json({
+        streams: [...streams.values()].map(streamSummary),
+        fileStreams: [...eventStore.keys()].map(fileStreamSummary),
+    });
+});
+
+app.get('/sse/stream/:streamId', (req, res) => {
+    const { streamId } = req.params;
+
+    if (streams.has(streamId)) {
+        return res.json(streamSummary(streams.get(streamId)));
+    }
+    if (eventStore.has(streamId)) {
+        return res.json(fileStreamSummary(streamId));
+    }
+    res.status(404).json({ error: `Stream ${streamId} not found` });
+});
+
+// Control a stream: { action?: pause | resume | finish | reset,
+//                     intervalMs?: number, maxEvents?: number | null }
+app.patch('/sse/stream/:streamId', (req, res) => {
+    const { streamId } = req.params;
+    const { action, intervalMs, maxEvents } = req.body ?? {};
+
+    if (!streams.has(streamId)) {
+        // File streams only keep a resumption history, so only reset applies
+        if (eventStore.has(streamId)) {
+            if (
+                action !== 'reset' ||
+                intervalMs !== undefined ||
+                maxEvents !== undefined
+            ) {
+                return res.status(400).json({
+                    error: 'File streams only support { "action": "reset" }',
+                });
+            }
+            eventStore.set(streamId, []);
+            store.append({ type: 'file-reset', streamId });
+            setStoreExpiration(streamId);
+            console.log(`[Admin] Reset file stream ${streamId}`);
+            return res.json(fileStreamSummary(streamId));
+        }
+        return res.status(404).json({ error: `Stream ${streamId} not found` });
+    }
+
+    const state = streams.get(streamId);
+
+    if (
+        action !== undefined &&
+        !['pause', 'resume', 'finish', 'reset'].includes(action)
+    ) {
+        return res.status(400).json({
+            error: 'action must be one of pause, resume, finish, reset',
+        });
+    }
+    if (
+        intervalMs !== undefined &&
+        !(Number.isInteger(intervalMs) && intervalMs > 0)
+    ) {
+        return res
+            .status(400)
+            .json({ error: 'intervalMs must be a positive integer' });
+    }
+    if (
+        maxEvents !== undefined &&
+        maxEvents !== null &&
+        !(Number.isInteger(maxEvents) && maxEvents >= 0)
+    ) {
+        return res.status(400).json({
+            error: 'maxEvents must be a non-negative integer or null (unlimited)',
+        });
+    }
+    if (state.finished && action !== 'reset') {
+        return res.status(409).json({
+            error: `Stream ${streamId} is finished – only reset is allowed`,
+        });
+    }
+
+    if (intervalMs !== undefined) state.intervalMs = intervalMs;
+    if (maxEvents !== undefined) state.maxEvents = maxEvents ?? Infinity;
+
+    switch (action) {
+        case 'pause':
+            state.paused = true;
+            stopGenerator(state);
+            break;
+        case 'resume':
+            state.paused = false;
+            break;
+        case 'finish':
+            finishStream(state, 'Force finish');
+            break;
+        case 'reset':
+            resetStreamState(state);
+            store.append({ type: 'reset', streamId });
+            break;
+    }
+
+    // Apply interval/limit changes to a running generator, or restart it
+    // after resume/reset; without a tick yet the next connection starts it
+    if (!state.finished && !state.paused && state.generate) {
+        if (!state.timer || intervalMs !== undefined || action) {
+            startGenerator(state);
+        }
+    }
+
+    store.append({
+        type: 'config',
+        streamId,
+        maxEvents: state.maxEvents,
+        intervalMs: state.intervalMs,
+        paused: state.paused,
+    });
+
+    console.log(
+        `[Admin] ${streamId}: ${JSON.stringify({ action, intervalMs, maxEvents })}`,
+    );
+    res.json(streamSummary(state));
+});
+
+// Recorded connections for a stream (/sse/test or /sse/stream-file)
+app.get('/sse/stream/:streamId/connections', (req, res) => {
+    const { streamId } = req.params;
+    const records = connectionLog.get(streamId);
+
+    if (!records) {
+        return res
+            .status(404)
+            .json({ error: `No connections recorded for ${streamId}` });
+    }
+
+    res.json({
+        streamId,
+        active: records.filter((r) => r.status === 'open').length,
+        total: records.length,
+        connections: records,
+    });
+});
+
+// Drop every open connection to a stream so clients reconnect:
+// { mode?: end | destroy } – end closes cleanly, destroy cuts the socket
+app.post('/sse/stream/:streamId/kick', (req, res) => {
+    const { streamId } = req.params;
+    const { mode = 'end' } = req.body ?? {};
+
+    if (
+        !connectionResponses.has(streamId) &&
+        !streams.has(streamId) &&
+        !eventStore.has(streamId)
+    ) {
+        return res.status(404).json({ error: `Stream ${streamId} not found` });
+    }
+
+    const kicked = kickConnections(streamId, 'kicked', mode);
+    console.log(`[Kick] ${streamId}: ${mode} on ${kicked} connection(s)`);
+    res.json({ streamId, mode, kicked });
+});
+
+// Publish caller-supplied events into an existing stream (single or batch)
+app.post('/sse/stream/:streamId/events', (req, res) => {
+    const { streamId } = req.params;
+
+    if (!streams.has(streamId)) {
+        return res.status(404).json({ error: `Stream ${streamId} not found` });
+    }
+
+    const state = streams.get(streamId);
+    if (state.finished) {
+        return res
+            .status(409)
+            .json({ error: `Stream ${streamId} is finished` });
+    }
+
+    const body = req.body;
+    const batch = Array.isArray(body)
+        ? body
+        : Array.isArray(body?.events)
+          ? body.events
+          : [body];
+
+    if (batch.length === 0) {
+        return res.status(400).json({ error: 'No events to publish' });
+    }
+
+    // Validate the whole batch first so it is applied all-or-nothing
+    let nextId = state.lastId;
+    const events = [];
+    for (let i = 0; i < batch.length; i++) {
+        const item = batch[i];
+        const at =
+            Array.isArray(body) || body?.events ? `events[${i}]` : 'body';
+
+        if (!item || typeof item !== 'object' || item.data === undefined) {
+            return res
+                .status(400)
+                .json({ error: `${at} must be an object with a data field` });
+        }
+        if (
+            item.event !== undefined &&
+            (typeof item.event !== 'string' || /[\r\n]/.test(item.event))
+        ) {
+            return res
+                .status(400)
+                .json({ error: `${at}.event must be a single-line string` });
+        }
+        if (
+            item.topic !== undefined &&
+            !(typeof item.topic === 'string' && TOPIC_NAME.test(item.topic))
+        ) {
+            return res.status(400).json({
+                error: `${at}.topic must be dot-separated names without wildcards`,
+            });
+        }
+        if (item.id !== undefined) {
+            // Ids stay numeric and increasing so Last-Event-ID catch-up works
+            if (!Number.isInteger(item.id) || item.id <= nextId) {
+                return res.status(409).json({
+                    error: `${at}.id must be an integer greater than ${nextId}`,
+                    lastId: state.lastId,
+                });
+            }
+            nextId = item.id;
+        } else {
+            nextId++;
+        }
+        events.push({
+            id: nextId,
+            data: item.data,
+            event: item.event,
+            topic: item.topic,
+        });
+    }
+
+    for (const event of events) {
+        state.lastId = event.id;
+        state.publishedCount++;
+        appendStreamEvent(state, event);
+    }
+
+    console.log(
+        `[Publish] ${events.length} event(s) into ${streamId} (lastId=${state.lastId}, ${state.connections.size} connection(s))`,
+    );
+
+    res.status(201).json({
+        streamId,
+        published: events.map(({ id, event, topic }) => ({ id, event, topic })),
+        lastId: state.lastId,
+        connections: state.connections.size,
+    });
+});
+
+// Topic subscriptions of a stream's connections (?topics= / ?subscription=)
+app.get('/sse/stream/:streamId/subscriptions', (req, res) => {
+    const state = streams.get(req.params.streamId);
+    if (!state) {
+        return res
+            .status(404)
+            .json({ error: `Stream ${req.params.streamId} not found` });
+    }
+    res.json({
+        streamId: state.streamId,
+        eventTopics: state.eventTopics,
+        subscriptions: [...state.subscriptions.values()].map(
+            subscriptionSummary,
+        ),
+    });
+});
+
+// Change a subscription's topics without reconnecting:
+// { topics?: [...] } replaces them, then { add?: [...], remove?: [...] } apply
+app.patch('/sse/stream/:streamId/subscriptions/:subscriptionId', (req, res) => {
+    const { streamId, subscriptionId } = req.params;
+    const state = streams.get(streamId);
+    if (!state) {
+        return res.status(404).json({ error: `Stream ${streamId} not found` });
+    }
+    const subscription = state.subscriptions.get(subscriptionId);
+    if (!subscription) {
+        return res.status(404).json({
+            error: `Subscription ${subscriptionId} not found on ${streamId}`,
+        });
+    }
+
+    const { topics, add = [], remove = [] } = req.body ?? {};
+    for (const [name, list] of Object.entries({ topics, add, remove })) {
+        if (list === undefined) continue;
+        if (
+            !Array.isArray(list) ||
+            !list.every((t) => typeof t === 'string' && TOPIC_PATTERN.test(t))
+        ) {
+            return res.status(400).json({
+                error: `${name} must be an array of topic patterns (dot-separated names, * and ** wildcards)`,
+            });
+        }
+    }
+
+    let next = topics ?? subscription.topics;
+    next = [...new Set([...next, ...add])].filter((t) => !remove.includes(t));
+    subscription.topics = next;
+
+    // Tell the affected connections in-band; no id, so resume is unaffected
+    for (const subscriber of subscription.subscribers) {
+        deliverToSubscriber(subscriber, {
+            event: 'subscription',
+            data: { subscription: subscriptionId, topics: next },
+        });
+    }
+
+    console.log(
+        `[Topics] ${streamId}/${subscriptionId}: ${next.join(', ') || '(none)'} (${subscription.subscribers.size} connection(s))`,
+    );
+    res.json(subscriptionSummary(subscription));
+});
+
+// Mint a test token: { ttlSeconds?, maxEvents?, onExpire?, token?, setCookie? }
+app.post('/sse/auth/token', (req, res) => {
+    const {
+        ttlSeconds,
+        maxEvents,
+        onExpire = 'close',
+        token = randomId(),
+        setCookie = false,
+    } = req.body ?? {};
+
+    if (ttlSeconds !== undefined && !(ttlSeconds > 0)) {
+        return res
+            .status(400)
+            .json({ error: 'ttlSeconds must be a positive number' });
+    }
+    if (
+        maxEvents !== undefined &&
+        !(Number.isInteger(maxEvents) && maxEvents > 0)
+    ) {
+        return res
+            .status(400)
+            .json({ error: 'maxEvents must be a positive integer' });
+    }
+    if (!['close', 'event'].includes(onExpire)) {
+        return res
+            .status(400)
+            .json({ error: 'onExpire must be one of close, event' });
+    }
+    if (typeof token !== 'string' || !/^[\w.~+/-]+=*$/.test(token)) {
+        return res
+            .status(400)
+            .json({ error: 'token must be a valid bearer token string' });
+    }
+
+    const now = clock.now();
+    const entry = {
+        createdAt: now,
+        expiresAt: ttlSeconds !== undefined ? now + ttlSeconds * 1000 : null,
+        maxEvents: maxEvents ?? null,
+        eventsDelivered: 0,
+        onExpire,
+        revoked: false,
+    };
+    authTokens.set(token, entry);
+
+    if (setCookie) {
+        res.cookie(AUTH_COOKIE, token, {
+            httpOnly: true,
+            sameSite: 'lax',
+            path: '/',
+            ...(ttlSeconds !== undefined && { maxAge: ttlSeconds * 1000 }),
+        });
+    }
+
+    console.log(
+        `[Auth] Minted token (ttl=${ttlSeconds ?? '∞'}s, maxEvents=${maxEvents ?? '∞'}, onExpire=${onExpire})`,
+    );
+    res.status(201).json(authTokenSummary(token, entry));
+});
+
+app.get('/sse/auth/token/:token', (req, res) => {
+    const entry = authTokens.get(req.params.token);
+    if (!entry) return res.status(404).json({ error: 'Token not found' });
+    res.json(authTokenSummary(req.params.token, entry));
+});
+
+// Revoke: open streams keep running, new connections get 403
+app.delete('/sse/auth/token/:token', (req, res) => {
+    const entry = authTokens.get(req.params.token);
+    if (!entry) return res.status(404).json({ error: 'Token not found' });
+    entry.revoked = true;
+    res.json(authTokenSummary(req.params.token, entry));
+});
+
+// ---- Echo diagnostics ----
+// POST /sse/echo reflects the request exactly as this server received it, so
+// you can see what a proxy added, dropped or rewrote on the way:
+//   1. a `request` event: method, raw headers (order and case preserved),
+//      X-Forwarded-* / Forwarded / Via, Last-Event-ID, client IP, HTTP
+//      version, TLS details and body size
+//   2. then, depending on the body:
+//      - JSON array of events ({ data, event?, id?, retry?, delayMs? }):
+//        replayed in order, each after its delayMs
+//      - any other JSON: one `echo` event with the body
+//      - any other Content-Type (e.g. a chunked application/octet-stream
+//        upload): a `chunk` event per piece as it arrives, then `upload-end`
+// ?responseHeaders={"X-Accel-Buffering":"no"} sets response headers verbatim
+// (Content-Type included), to see what the proxy changes on the way back.
+function describeTls(socket) {
+    if (!socket?.encrypted) return null;
+    const cert = socket.getPeerCertificate?.();
+    return {
+        protocol: socket.getProtocol?.() ?? null,
+        cipher: socket.getCipher?.() ?? null,
+        alpnProtocol: socket.alpnProtocol || null,
+        servername: socket.servername || null,
+        clientCertificate:
+            cert && Object.keys(cert).length > 0
+                ? { subject: cert.subject, issuer: cert.issuer }
+                : null,
+    };
+}
+
+function hasRequestBody(req) {
+    return (
+        req.headers['transfer-encoding'] !== undefined ||
+        Number(req.headers['content-length']) > 0
+    );
+}
+
+function describeEchoRequest(req) {
+    const rawHeaders = [];
+    for (let i = 0; i < req.rawHeaders.length; i += 2) {
+        rawHeaders.push([req.rawHeaders[i], req.rawHeaders[i + 1]]);
+    }
+    const header = (name) => req.get(name) ?? null;
+
+    return {
+        method: req.method,
+        url: req.originalUrl,
+        httpVersion: req.httpVersion,
+        remoteAddress: req.socket.remoteAddress,
+        remotePort: req.socket.remotePort,
+        ip: req.ip,
+        headers: req.headers,
+        rawHeaders,
+        proxy: {
+            forwardedFor: header('x-forwarded-for'),
+            forwardedProto: header('x-forwarded-proto'),
+            forwardedHost: header('x-forwarded-host'),
+            forwardedPort: header('x-forwarded-port'),
+            forwarded: header('forwarded'),
+            via: header('via'),
+        },
+        lastEventId: header('last-event-id'),
+        tls: describeTls(req.socket),
+        body: {
+            contentType: header('content-type'),
+            contentLength: header('content-length'),
+            transferEncoding: header('transfer-encoding'),
+            // Known once a parser read the body; streamed uploads report
+            // their size in upload-end
+            bytes: req.bodySize ?? (hasRequestBody(req) ? null : 0),
+        },
+        receivedAt: eventTimestamp(),
+    };
+}
+
+// Echo endpoint: POST data to /sse/echo, and it streams it back as SSE events
+app.post('/sse/echo', (req, res) => {
+    let responseHeaders = {};
+    if (req.query.responseHeaders !== undefined) {
+        try {
+            responseHeaders = JSON.parse(req.query.responseHeaders);
+        } catch {
+            responseHeaders = null;
+        }
+        if (
+            !responseHeaders ||
+            typeof responseHeaders !== 'object' ||
+            Array.isArray(responseHeaders) ||
+            Object.values(responseHeaders).some((v) => typeof v !== 'string')
+        ) {
+            return res.status(400).json({
+                error: 'responseHeaders must be a JSON object of header names to string values',
+            });
+        }
+        for (const [name, value] of Object.entries(responseHeaders)) {
+            try {
+                http.validateHeaderName(name);
+                http.validateHeaderValue(name, value);
+            } catch (err) {
+                return res.status(400).json({
+                    error: `Invalid response header ${name}: ${err.message}`,
+                });
+            }
+        }
+    }
+
+    applyCompression(req, res, '/sse/echo');
+    applyMetrics(req, res, '/sse/echo');
+    if (!applyLimits(req, res, '/sse/echo')) return;
+    if (!applyAuth(req, res, '/sse/echo')) return;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+    });
+    // setHeader, not res.set, so values go out exactly as given
+    for (const [name, value] of Object.entries(responseHeaders)) {
+        res.setHeader(name, value);
+    }
+
+    const request = describeEchoRequest(req);
+    sendEvent(res, request, { event: 'request' });
+    applyHeartbeat(req, res, '/sse/echo');
+
+    let closed = false;
+    res.on('close', () => {
+        closed = true;
+    });
+
+    // Body not consumed by a parser: echo it piece by piece as it arrives
+    if (req.body === undefined && hasRequestBody(req)) {
+        const startedAt = clock.now();
+        let totalBytes = 0;
+        let chunks = 0;
+        console.log(`[Echo] Streaming upload from ${req.ip}`);
+
+        req.on('data', (piece) => {
+            if (closed) return;
+            totalBytes += piece.length;
+            sendEvent(
+                res,
+                {
+                    seq: ++chunks,
+                    bytes: piece.length,
+                    totalBytes,
+                    elapsedMs: clock.now() - startedAt,
+                    base64: piece.toString('base64'),
+                },
+                { event: 'chunk' },
+            );
+        });
+        req.on('end', () => {
+            if (closed) return;
+            sendEvent(
+                res,
+                { chunks, totalBytes, elapsedMs: clock.now() - startedAt },
+                { event: 'upload-end' },
+            );
+            res.end();
+        });
+        return;
+    }
+
+    if (!Array.isArray(req.body)) {
+        if (req.body !== undefined) {
+            sendEvent(res, { echoed: req.body }, { event: 'echo' });
+        }
+        return res.end();
+    }
+
+    console.log(`[Echo] Replaying ${req.body.length} event(s) to ${req.ip}`);
+    (async () => {
+        for (const { delayMs = 0, ...event } of req.body) {
+            if (delayMs > 0) {
+                await new Promise((resolve) =>
+                    clock.setTimeout(resolve, delayMs),
+                );
+            }
+            if (closed) return;
+            writeScenarioEvent(res, event);
+        }
+        res.end();
+    })();
+});
+
+// Error simulation endpoint
+app.get('/sse/error', (req, res) => {
+    const { code = 500, retryAfter } = req.query;
+    if (retryAfter !== undefined) res.set('Retry-After', String(retryAfter));
+    res.status(parseInt(code)).send('Simulated SSE error');
+});
+
+// Timeout simulation: Hangs for a long time
+app.get('/sse/timeout', (req, res) => {
+    applyCompression(req, res, '/sse/timeout');
+    applyMetrics(req, res, '/sse/timeout');
+    if (!applyLimits(req, res, '/sse/timeout')) return;
+    if (!applyAuth(req, res, '/sse/timeout')) return;
+
+    // Parse delay from query param (in milliseconds)
+    // Default to 30 seconds if missing or invalid
+    let delayMs = Math.max(1000, parseInt(req.query.delay) || 30000); // min 1s to avoid abuse
+
+    // Optional: also support ?seconds= for readability
+    if (req.query.seconds) {
+        const seconds = parseInt(req.query.seconds);
+        if (!isNaN(seconds) && seconds > 0) {
+            delayMs = seconds * 1000;
+        }
+    }
+
+    // Optional logging for debugging
+    console.log(
+        `[Timeout] Simulating delay of ${delayMs}ms for request from ${req.ip}`,
+    );
+
+    // Send headers immediately (important for SSE-like feel, even though we eventually 408)
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+    });
+
+    // Send an initial message so client knows connection is open
+    res.write('data: Waiting for simulated timeout...\n\n');
+    res.flushHeaders();
+    applyHeartbeat(req, res, '/sse/timeout');
+
+    // Delay and then respond with 408 (Request Timeout)
+    clock.setTimeout(() => {
+        res.write(
+            `data: Simulated timeout reached after ${delayMs / 1000} seconds\n\n`,
+        );
+        res.write(`event: timeout\ndata: Connection will now close\n\n`);
+
+        res.end();
+    }, delayMs);
+});
+
+// Multi-event type stream for testing custom events
+app.get('/sse/multi', (req, res) => {
+    applyCompression(req, res, '/sse/multi');
+    applyMetrics(req, res, '/sse/multi');
+    if (!applyLimits(req, res, '/sse/multi')) return;
+    if (!applyAuth(req, res, '/sse/multi')) return;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+    });
+    applyChaos(req, res, '/sse/multi');
+    applyHeartbeat(req, res, '/sse/multi');
+
+    // Parse query params with safe defaults
+    const intervalMs = Math.max(100, parseInt(req.query.interval) || 1000); // min 100ms to avoid spam
+    const eventCount = Math.max(
+        1,
+        Math.min(100, parseInt(req.query.count) || 3),
+    ); // 1–100 limit
+    const customTypes = req.query.types
+        ? req.query.types
+              .split(',')
+              .map((t) => t.trim())
+              .filter((t) => t)
+        : ['ping', 'update', 'alert']; // default cycle
+    const delayFirstMs = parseInt(req.query.delayFirst) || 0;
+
+    let index = 0;
+    let sentCount = 0;
+
+    // Optional: initial delay
+    clock.setTimeout(() => {
+        const sendNext = () => {
+            if (sentCount >= eventCount) {
+                res.write('data: Sequence complete\n\n');
+                res.end();
+                return;
+            }
+
+            // Cycle through types
+            const eventType = customTypes[index % customTypes.length];
+
+            index++;
+
+            const payload = {
+                message: `Event of type ${eventType} (${sentCount + 1}/${eventCount})`,
+                sequenceIndex: sentCount + 1,
+                timestamp: eventTimestamp(),
+            };
+
+            sendEvent(res, payload, {
+                event: eventType,
+                id: sentCount + 1, // simple incremental ID
+            });
+
+            sentCount++;
+
+            // Schedule next
+            clock.setTimeout(sendNext, intervalMs);
+        };
+
+        // Start the sequence
+        sendNext();
+    }, delayFirstMs);
+
+    // Cleanup on client disconnect
+    req.on('close', () => {
+        res.end();
+    });
+});
+
+// File streaming simulation
+// ---- File transfer mode ----
+// /sse/stream-file?source=file|random sends real bytes instead of filler:
+// a file from FILES_DIR, or totalBytes of seeded random data. Chunk events
+// have id N (1-based) and carry their byte offset and SHA-256, so a
+// reconnect resumes at exactly N * chunkSize without needing the history.
+const FILES_DIR = path.resolve(process.env.FILES_DIR || './files');
+const MAX_TRANSFER_CHUNK = 1024 * 1024;
+const fileDigests = new Map(); // source key → whole-file SHA-256 (hex)
+
+// Random-access seeded bytes: an AES-256-CTR keystream keyed by the seed
+function seededBytes(seed, offset, length) {
+    const key = createHash('sha256').update(String(seed)).digest();
+    const iv = Buffer.alloc(16);
+    iv.writeBigUInt64BE(BigInt(Math.floor(offset / 16)), 8);
+    const skip = offset % 16;
+    const cipher = createCipheriv('aes-256-ctr', key, iv);
+    return cipher.update(Buffer.alloc(skip + length)).subarray(skip);
+}
+
+// Resolves to { source } or { status, error }
+async function openTransferSource(query) {
+    if (query.source === 'random') {
+        const requested = parseInt(query.totalBytes);
+        const size = requested >= 0 ? requested : 1024 * 1024;
+        const seed = query.seed ?? SEED ?? 'sse-test-server';
+        return {
+            source: {
+                name: `random:${seed}`,
+                size,
+                key: `random:${seed}:${size}`,
+                read: async (offset, length) =>
+                    seededBytes(seed, offset, length),
+                close: () => {},
+            },
+        };
+    }
+
+    if (query.source === 'file') {
+        if (!query.file) {
+            return { status: 400, error: 'source=file requires a file name' };
+        }
+        const filePath = path.resolve(FILES_DIR, String(query.file));
+        if (!filePath.startsWith(FILES_DIR + path.sep)) {
+            return { status: 400, error: 'file must be inside FILES_DIR' };
+        }
+
+        let handle;
+        try {
+            handle = await fs.promises.open(filePath, 'r');
+            const stat = await handle.stat();
+            if (!stat.isFile()) throw new Error('Not a file');
+            return {
+                source: {
+                    name: String(query.file),
+                    size: stat.size,
+                    key: `file:${filePath}:${stat.size}:${stat.mtimeMs}`,
+                    read: async (offset, length) => {
+                        const buffer = Buffer.alloc(length);
+                        const { bytesRead } = await handle.read(
+                            buffer,
+                            0,
+                            length,
+                            offset,
+                        );
+                        return buffer.subarray(0, bytesRead);
+                    },
+                    close: () => handle.close().catch(() => {}),
+                },
+            };
+        } catch {
+            await handle?.close();
+            return { status: 404, error: `File ${query.file} not found` };
+        }
+    }
+
+    return { status: 400, error: 'source must be "file" or "random"' };
+}
+
+// Whole-source SHA-256, cached per file version / seed and size
+async function transferDigest(source) {
+    if (!fileDigests.has(source.key)) {
+        const hash = createHash('sha256');
+        for (
+            let offset = 0;
+            offset < source.size;
+            offset += MAX_TRANSFER_CHUNK
+        ) {
+            hash.update(
+                await source.read(
+                    offset,
+                    Math.min(MAX_TRANSFER_CHUNK, source.size - offset),
+                ),
+            );
+        }
+        fileDigests.set(source.key, hash.digest('hex'));
+    }
+    return fileDigests.get(source.key);
+}
+
+async function streamFileTransfer(req, res, streamId) {
+    const { chunkSize = 8192, delayMs = 50, eventType = 'chunk' } = req.query;
+
+    const opened = await openTransferSource(req.query);
+    if (opened.error) {
+        return res.status(opened.status).json({ error: opened.error });
+    }
+    const { source } = opened;
+
+    const chunkSizeNum = Math.min(
+        MAX_TRANSFER_CHUNK,
+        Math.max(1, parseInt(chunkSize) || 8192),
+    );
+    const delayNum = Math.max(0, parseInt(delayMs) || 0);
+    const chunkCount = Math.ceil(source.size / chunkSizeNum);
+
+    // Last-Event-ID N means chunks 1..N arrived; N = chunkCount + 1 is the
+    // end event, so the transfer is over (204 stops EventSource retrying)
+    const lastEventIdHeader = req.headers['last-event-id'];
+    const lastEventId = parseInt(lastEventIdHeader);
+    const resumed = lastEventId > 0 && lastEventId <= chunkCount;
+    if (lastEventIdHeader !== undefined) {
+        incMetric('sse_resume_total', {
+            route: '/sse/stream-file',
+            result: resumed || lastEventId > chunkCount ? 'hit' : 'miss',
+        });
+    }
+    if (lastEventId > chunkCount) {
+        source.close();
+        console.log(`[204 No Content] File transfer ${streamId} complete`);
+        return res.status(204).end();
+    }
+
+    if (!eventStore.has(streamId)) {
+        eventStore.set(streamId, []);
+        incMetric('sse_streams_created_total', { type: 'file' });
+    }
+    const stored = eventStore.get(streamId);
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+    });
+    applyChaos(req, res, '/sse/stream-file');
+    applyHeartbeat(req, res, '/sse/stream-file');
+
+    let chunk = resumed ? lastEventId : 0; // Chunks already delivered
+    sendEvent(res, {
+        message: resumed
+            ? `Resuming file transfer at byte ${chunk * chunkSizeNum}`
+            : 'Starting file transfer',
+        source: source.name,
+        totalBytes: source.size,
+        chunkSize: chunkSizeNum,
+        chunks: chunkCount,
+        offset: chunk * chunkSizeNum,
+    });
+    setStoreExpiration(streamId);
+
+    let closed = false;
+    let timer = null;
+    res.on('close', () => {
+        closed = true;
+        clock.clearTimeout(timer);
+        source.close();
+    });
+
+    const sendNext = async () => {
+        try {
+            if (chunk >= chunkCount) {
+                const sha256 = await transferDigest(source);
+                if (closed) return;
+                sendEvent(
+                    res,
+                    {
+                        done: true,
+                        source: source.name,
+                        totalBytes: source.size,
+                        chunks: chunkCount,
+                        sha256,
+                    },
+                    { id: chunkCount + 1, event: 'end' },
+                );
+                return res.end();
+            }
+
+            const offset = chunk * chunkSizeNum;
+            const bytes = await source.read(
+                offset,
+                Math.min(chunkSizeNum, source.size - offset),
+            );
+            if (closed) return;
+            chunk++;
+
+            const summary = {
+                chunkIndex: chunk,
+                offset,
+                size: bytes.length,
+                sha256: createHash('sha256').update(bytes).digest('hex'),
+            };
+            sendEvent(
+                res,
+                {
+                    ...summary,
+                    encoding: 'base64',
+                    content: bytes.toString('base64'),
+                },
+                { id: chunk, event: eventType },
+            );
+
+            // History keeps metadata only; resume re-reads the bytes
+            stored.push({ id: chunk, data: summary });
+            if (stored.length > MAX_FILE_HISTORY) stored.shift();
+            store.append({
+                type: 'file-chunk',
+                streamId,
+                event: { id: chunk, data: summary },
+            });
+            setStoreExpiration(streamId);
+            noteActivity(streamId, 'file', {
+                id: chunk,
+                event: eventType,
+                data: summary,
+            });
+
+            timer = clock.setTimeout(sendNext, delayNum);
+        } catch (err) {
+            console.error(`[File] Transfer ${streamId} failed:`, err);
+            if (closed) return;
+            sendEvent(res, { error: err.message }, { event: 'error' });
+            res.end();
+        }
+    };
+    timer = clock.setTimeout(sendNext, delayNum);
+}
+
+app.get('/sse/stream-file', (req, res) => {
+    const {
+        totalBytes = 1024 * 1024, // default 1 MB
+        chunkSize = 8192, // ~8KB per chunk (realistic)
+        delayMs = 50, // ms between chunks
+        streamId = defaultFileStreamId(), // unique by default
+        eventType = 'chunk',
+        format = 'text', // 'text' | 'jsonl' | 'binary'
+    } = req.query;
+
+    applyCompression(req, res, '/sse/stream-file');
+    applyMetrics(req, res, '/sse/stream-file');
+    trackConnection(req, res, streamId, '/sse/stream-file');
+    if (!applyLimits(req, res, '/sse/stream-file', streamId)) return;
+    if (!applyAuth(req, res, '/sse/stream-file')) return;
+
+    if (req.query.source !== undefined) {
+        return streamFileTransfer(req, res, streamId);
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+    });
+    applyChaos(req, res, '/sse/stream-file');
+    applyHeartbeat(req, res, '/sse/stream-file');
+
+    const totalBytesNum = parseInt(totalBytes);
+    const chunkSizeNum = Math.max(1, parseInt(chunkSize));
+    const delayNum = parseInt(delayMs);
+
+    // For resumption support
+    if (!eventStore.has(streamId)) {
+        eventStore.set(streamId, []);
+        incMetric('sse_streams_created_total', { type: 'file' });
+    }
+
+    const stored = eventStore.get(streamId);
+
+    let byteSent = 0;
+    let chunkIndex = 0;
+    let lastId = 0;
+
+    // Handle reconnection with Last-Event-ID
+    const lastEventId = req.headers['last-event-id']
+        ? parseInt(req.headers['last-event-id'])
+        : 0;
+
+    if (lastEventId > 0) {
+        const resumeIndex = stored.findIndex((e) => e.id === lastEventId);
+        incMetric('sse_resume_total', {
+            route: '/sse/stream-file',
+            result: resumeIndex >= 0 ? 'hit' : 'miss',
+        });
+
+        if (resumeIndex >= 0) {
+            // Replay what the client missed, then carry on after the newest
+            // stored chunk (every chunk of a stream has the same size)
+            for (let i = resumeIndex + 1; i < stored.length; i++) {
+                sendEvent(res, stored[i].data, {
+                    id: stored[i].id,
+                    event: eventType,
+                });
+            }
+            const newest = stored.at(-1);
+            chunkIndex = newest.data.chunkIndex ?? 0;
+            byteSent = chunkIndex * (newest.data.size ?? 0);
+            lastId = newest.id;
+            // No id, so Last-Event-ID stays on a real chunk
+            sendEvent(res, {
+                message: `Resume simulated file chunk from chunk ${chunkIndex}`,
+            });
+        }
+    } else {
+        sendEvent(
+            res,
+            {
+                message: `Starting simulated file stream`,
+            },
+            { id: ++lastId },
+        );
+    }
+
+    setStoreExpiration(streamId);
+
+    const interval = clock.setInterval(() => {
+        if (byteSent >= totalBytesNum) {
+            sendEvent(res, {}, { id: ++lastId, event: 'end' });
+            clock.clearInterval(interval);
+            res.end();
+            return;
+        }
+
+        chunkIndex++;
+        lastId++;
+
+        let chunkData;
+        if (format === 'jsonl') {
+            chunkData =
+                JSON.stringify({
+                    chunk: chunkIndex,
+                    timeStamp: eventTimestamp(),
+                    // Approximate size; chunks under 50 bytes carry no padding
+                    data: 'x'.repeat(Math.max(0, chunkSizeNum - 50)),
+                }) + '\n';
+        } else if (format === 'binary') {
+            // For binary testing (Base64 encoded in data field)
+            const buffer = Buffer.alloc(chunkSizeNum).fill('x');
+            chunkData = buffer.toString('base64');
+        } else {
+            // plain text
+            chunkData = 'x'.repeat(chunkSizeNum) + '\n';
+        }
+
+        const payload = {
+            chunkIndex,
+            size: chunkData.length,
+            content: chunkData,
+        };
+
+        sendEvent(res, payload, { event: eventType, id: lastId });
+
+        // Store for resumption
+        stored.push({ id: lastId, data: payload });
+        if (stored.length > MAX_FILE_HISTORY) stored.shift(); // prevent unbounded growth
+        store.append({
+            type: 'file-chunk',
+            streamId,
+            event: { id: lastId, data: payload },
+        });
+        noteActivity(streamId, 'file', {
+            id: lastId,
+            event: eventType,
+            data: { chunkIndex, size: chunkData.length },
+        });
+
+        byteSent += chunkData.length;
+
+        setStoreExpiration(streamId);
+    }, delayNum);
+
+    req.on('close', () => {
+        clock.clearInterval(interval);
+        res.end();
+    });
+});
+
+// ---- Scenario engine ----
+// Scripted streams: a scenario is an ordered list of steps played back to
+// every client that connects to /sse/scenarios/:id/stream.
+const SCENARIOS_DIR = process.env.SCENARIOS_DIR || './scenarios';
+
+const scenarios = new Map();
+// scenarioId → {
+//   id: string,
+//   name: string,
+//   description: string | undefined,
+//   steps: Array<Step>,                           // Validated step list
+//   source: 'api' | 'file',                       // Where it was loaded from
+//   createdAt: string (ISO),
+// };
+
+const SCENARIO_STEP_TYPES = [
+    'event', // { id?, event?, data?, retry? }
+    'sleep', // { ms }
+    'comment', // { text? }
+    'drop', // Destroy the socket without a clean end
+    'close', // End the response cleanly
+    'status', // { code, body? } – only as the first step
+    'loop', // { times?, steps } – omit times to loop forever
+];
+
+function containsSleep(steps) {
+    return steps.some(
+        (step) =>
+            step.type === 'sleep' ||
+            (step.type === 'loop' && containsSleep(step.steps)),
+    );
+}
+
+// Returns an error message, or null if the steps are valid
+// A loop without any sleep runs in one synchronous burst; cap how many
+// iterations (times nested sleepless loops' times) it may write
+const MAX_SLEEPLESS_ITERATIONS = 1000;
+
+// `repeat` is how often the enclosing sleepless loops run these steps
+function validateScenarioSteps(
+    steps,
+    where = 'steps',
+    isTopLevel = true,
+    repeat = 1,
+) {
+    if (!Array.isArray(steps) || steps.length === 0) {
+        return `${where} must be a non-empty array`;
+    }
+
+    for (let i = 0; i < steps.length; i++) {
+        const step = steps[i];
+        const at = `${where}[${i}]`;
+
+        if (!step || typeof step !== 'object') {
+            return `${at} must be an object`;
+        }
+        if (!SCENARIO_STEP_TYPES.includes(step.type)) {
+            return `${at}.type must be one of ${SCENARIO_STEP_TYPES.join(', ')}`;
+        }
+
+        switch (step.type) {
+            case 'event':
+                if (
+                    step.retry !== undefined &&
+                    !(Number.isInteger(step.retry) && step.retry >= 0)
+                ) {
+                    return `${at}.retry must be a non-negative integer`;
+                }
+                if (
+                    step.event !== undefined &&
+                    (typeof step.event !== 'string' ||
+                        /[\r\n]/.test(step.event))
+                ) {
+                    return `${at}.event must be a single-line string`;
+                }
+                if (step.id !== undefined && /[\r\n]/.test(String(step.id))) {
+                    return `${at}.id must not contain line breaks`;
+                }
+                break;
+            case 'sleep':
+                if (!(Number.isInteger(step.ms) && step.ms >= 0)) {
+                    return `${at}.ms must be a non-negative integer`;
+                }
+                break;
+            case 'comment':
+                if (step.text !== undefined && typeof step.text !== 'string') {
+                    return `${at}.text must be a string`;
+                }
+                break;
+            case 'status':
+                if (!isTopLevel || i !== 0) {
+                    return `${at}: status is only allowed as the first top-level step`;
+                }
+                // 1xx are interim responses and can't end a stream
+                if (!(
+                    Number.isInteger(step.code) &&
+                    step.code >= 200 &&
+                    step.code <= 599
+                )) {
+                    return `${at}.code must be a final HTTP status code (200-599)`;
+                }
+                break;
+            case 'loop': {
+                if (
+                    step.times !== undefined &&
+                    !(Number.isInteger(step.times) && step.times > 0)
+                ) {
+                    return `${at}.times must be a positive integer`;
+                }
+                // An endless loop without any sleep would spin the event loop
+                const sleeps = containsSleep(step.steps);
+                if (step.times === undefined && !sleeps) {
+                    return `${at}: an endless loop must contain a sleep step`;
+                }
+                if (!sleeps && repeat * step.times > MAX_SLEEPLESS_ITERATIONS) {
+                    return `${at}: a loop without a sleep step may run at most ${MAX_SLEEPLESS_ITERATIONS} times (including enclosing loops)`;
+                }
+                const nestedError = validateScenarioSteps(
+                    step.steps,
+                    `${at}.steps`,
+                    false,
+                    sleeps ? 1 : repeat * step.times,
+                );
+                if (nestedError) return nestedError;
+                break;
+            }
+        }
+    }
+
+    return null;
+}
+
+// Normalizes a parsed JSON/YAML document into a scenario, or throws
+function buildScenario(doc, source, fallbackId) {
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+        throw new Error('Scenario must be an object with a steps array');
+    }
+
+    const id = doc.id !== undefined ? String(doc.id) : fallbackId;
+    if (!/^[A-Za-z0-9._-]+$/.test(id)) {
+        throw new Error(
+            'id may only contain letters, digits, ".", "_" and "-"',
+        );
+    }
+
+    const error = validateScenarioSteps(doc.steps);
+    if (error) throw new Error(error);
+
+    return {
+        id,
+        name: doc.name || id,
+        description: doc.description,
+        steps: doc.steps,
+        source,
+        createdAt: new Date(clock.now()).toISOString(),
+    };
+}
+
+function loadScenariosFromDir(dir) {
+    if (!fs.existsSync(dir)) return;
+
+    for (const file of fs.readdirSync(dir)) {
+        const ext = path.extname(file).toLowerCase();
+        if (!['.json', '.yml', '.yaml'].includes(ext)) continue;
+
+        try {
+            const raw = fs.readFileSync(path.join(dir, file), 'utf8');
+            const doc = ext === '.json' ? JSON.parse(raw) : YAML.parse(raw);
+            const scenario = buildScenario(
+                doc,
+                'file',
+                path.basename(file, ext),
+            );
+            scenarios.set(scenario.id, scenario);
+            console.log(`[Scenario] Loaded ${scenario.id} from ${file}`);
+        } catch (err) {
+            console.warn(`[Scenario] Skipped ${file}: ${err.message}`);
+        }
+    }
+}
+
+loadScenariosFromDir(SCENARIOS_DIR);
+
+function scenarioSummary(scenario) {
+    return {
+        id: scenario.id,
+        name: scenario.name,
+        description: scenario.description,
+        source: scenario.source,
+        createdAt: scenario.createdAt,
+        stepCount: scenario.steps.length,
+        url: `/sse/scenarios/${scenario.id}/stream`,
+    };
+}
+
+// Writes a scenario event verbatim: strings are sent as-is (split on
+// newlines into several data lines), anything else is JSON-encoded
+function writeScenarioEvent(res, step) {
+    let out = '';
+    if (step.id !== undefined) out += `id: ${step.id}\n`;
+    if (step.event) out += `event: ${step.event}\n`;
+    if (step.retry !== undefined) out += `retry: ${step.retry}\n`;
+    if (step.data !== undefined) {
+        const text =
+            typeof step.data === 'string'
+                ? step.data
+                : JSON.stringify(step.data);
+        for (const line of text.split(/\r\n|\r|\n/)) {
+            out += `data: ${line}\n`;
+        }
+    }
+    res.write(out + '\n');
+}
+
+// Plays steps in order; resolves false once the connection is gone
+async function playScenarioSteps(res, steps, isClosed) {
+    for (const step of steps) {
+        if (isClosed()) return false;
+
+        switch (step.type) {
+            case 'event':
+                writeScenarioEvent(res, step);
+                break;
+            case 'comment':
+                res.write(`: ${step.text ?? ''}\n\n`);
+                break;
+            case 'sleep':
+                await new Promise((resolve) =>
+                    clock.setTimeout(resolve, step.ms),
+                );
+                break;
+            case 'drop':
+                // Let already-written events reach the socket first
+                await new Promise((resolve) => res.write('', resolve));
+                res.destroy();
+                return false;
+            case 'close':
+                res.end();
+                return false;
+            case 'loop':
+                for (
+                    let i = 0;
+                    step.times === undefined || i < step.times;
+                    i++
+                ) {
+                    if (!(await playScenarioSteps(res, step.steps, isClosed))) {
+                        return false;
+                    }
+                }
+                break;
+        }
+    }
+    return true;
+}
+
+// Create a scenario from a JSON or YAML body
+app.post('/sse/scenarios', (req, res) => {
+    let doc = req.body;
+    if (typeof doc === 'string') {
+        try {
+            doc = YAML.parse(doc);
+        } catch (err) {
+            return res
+                .status(400)
+                .json({ error: `Invalid YAML: ${err.message}` });
+        }
+    }
+
+    let scenario;
+    try {
+        scenario = buildScenario(doc, 'api', randomId());
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    const replaced = scenarios.has(scenario.id);
+    scenarios.set(scenario.id, scenario);
+    console.log(
+        `[Scenario] ${replaced ? 'Replaced' : 'Created'} ${scenario.id} (${scenario.steps.length} steps)`,
+    );
+
+    res.status(replaced ? 200 : 201).json(scenarioSummary(scenario));
+});
+
+app.get('/sse/scenarios', (req, res) => {
+    res.json([...scenarios.values()].map(scenarioSummary));
+});
+
+app.get('/sse/scenarios/:scenarioId', (req, res) => {
+    const scenario = scenarios.get(req.params.scenarioId);
+    if (!scenario) {
+        return res
+            .status(404)
+            .json({ error: `Scenario ${req.params.scenarioId} not found` });
+    }
+    res.json({ ...scenarioSummary(scenario), steps: scenario.steps });
+});
+
+app.delete('/sse/scenarios/:scenarioId', (req, res) => {
+    const { scenarioId } = req.params;
+    if (!scenarios.delete(scenarioId)) {
+        return res
+            .status(404)
+            .json({ error: `Scenario ${scenarioId} not found` });
+    }
+    console.log(`[Scenario] Deleted ${scenarioId}`);
+    res.status(200).json({ message: `Scenario ${scenarioId} deleted` });
+});
+
+// Play a scenario back as an SSE stream
+app.get('/sse/scenarios/:scenarioId/stream', async (req, res) => {
+    const scenario = scenarios.get(req.params.scenarioId);
+    if (!scenario) {
+        return res
+            .status(404)
+            .json({ error: `Scenario ${req.params.scenarioId} not found` });
+    }
+    applyCompression(req, res, `/sse/scenarios/${scenario.id}`);
+    applyMetrics(req, res, '/sse/scenarios/:scenarioId/stream');
+    if (!applyLimits(req, res, '/sse/scenarios/:scenarioId/stream')) return;
+    if (!applyAuth(req, res, `/sse/scenarios/${scenario.id}`)) return;
+
+    let steps = scenario.steps;
+
+    // A leading status step replaces the stream with a plain response
+    if (steps[0].type === 'status') {
+        const { code, body = `Scenario ${scenario.id} responded ${code}` } =
+            steps[0];
+        if (code !== 200) {
+            return res
+                .status(code)
+                .send(typeof body === 'string' ? body : JSON.stringify(body));
+        }
+        steps = steps.slice(1);
+    }
 
-    console.log(`[Manual Cleanup] Deleted stream: ${streamId}`);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+    applyHeartbeat(req, res, `/sse/scenarios/${scenario.id}`);
 
-    res.status(200).json({
-        message: `Stream ${streamId} stopped and deleted successfully`,
-        wasActive: !!state.timer,
-        eventCount: state.eventCount,
-        lastId: state.lastId,
+    let closed = false;
+    req.on('close', () => {
+        closed = true;
     });
+
+    console.log(
+        `[Scenario] Playing ${scenario.id} (Last-Event-ID: ${req.headers['last-event-id'] ?? 'none'})`,
+    );
+
+    if (await playScenarioSteps(res, steps, () => closed)) {
+        res.end();
+    }
 });
 
-// Echo endpoint: POST data to /sse/echo, and it streams it back as SSE events
-app.post('/sse/echo', (req, res) => {
+// ---- Capture replay ----
+// Recorded text/event-stream transcripts served back byte for byte with
+// their original timing at /sse/captures/:id/stream. Two upload formats:
+//   - raw capture (text/event-stream or text/plain): every line prefixed with
+//     a timestamp, as produced by `curl -sN <url> | ts '%.s'` – epoch or
+//     relative seconds, or ISO 8601 – then one space or tab. Without a
+//     timestamp on the first line the body is taken as untimed raw bytes.
+//   - HAR (application/json): a whole HAR log or a single entry. HAR only
+//     records the total receive time, so events are spread evenly over it.
+// Replay accepts ?speed= (multiplier), ?loop=true|N, ?loopDelay= (ms) and
+// resumes after the event a Last-Event-ID header points at.
+const CAPTURES_DIR = process.env.CAPTURES_DIR || './captures';
+
+const captures = new Map();
+// captureId → {
+//   id: string,
+//   name: string,
+//   source: 'raw' | 'har' | 'file',
+//   timed: boolean,                               // False if no timestamps
+//   text: string,                                 // The captured bytes
+//   chunks: Array<{ at, start, end }>,            // at = ms from first chunk
+//   events: Array<{ id, event, end, at }>,        // end = offset after the event
+//   createdAt: string (ISO),
+// };
+
+const CAPTURE_TIMESTAMP = /^(\d+(?:\.\d+)?|\d{4}-\d{2}-\d{2}T\S+)[ \t]/;
+
+// Parses a timestamp-prefixed transcript into chunks (ms offsets + text)
+function parseRawCapture(body) {
+    const lines = body.split('\n');
+    // Only lines that had a newline get one back, so replay stays exact
+    const endsWithNewline = lines[lines.length - 1] === '';
+    if (endsWithNewline) lines.pop();
+
+    // Untimed: the whole body is one chunk at 0 ms
+    if (!CAPTURE_TIMESTAMP.test(lines[0] ?? '')) {
+        return { timed: false, pieces: [{ at: 0, text: body }] };
+    }
+
+    const pieces = [];
+    let first = null;
+    for (let i = 0; i < lines.length; i++) {
+        const match = CAPTURE_TIMESTAMP.exec(lines[i]);
+        if (!match) {
+            throw new Error(`Line ${i + 1} has no timestamp prefix`);
+        }
+        const stamp = match[1].includes('T')
+            ? Date.parse(match[1])
+            : Number(match[1]) * 1000;
+        if (Number.isNaN(stamp)) {
+            throw new Error(`Line ${i + 1} has an invalid timestamp`);
+        }
+        first ??= stamp;
+
+        const at = Math.max(0, Math.round(stamp - first));
+        const newline = i < lines.length - 1 || endsWithNewline ? '\n' : '';
+        const text = lines[i].slice(match[0].length) + newline;
+        // Lines captured at the same instant are written together
+        const last = pieces[pieces.length - 1];
+        if (last && last.at === at) last.text += text;
+        else pieces.push({ at, text });
+    }
+    return { timed: true, pieces };
+}
+
+// Picks the SSE response out of a HAR log (or takes a single entry)
+function parseHarCapture(doc, entryIndex) {
+    let entry = doc;
+    if (Array.isArray(doc?.log?.entries)) {
+        const entries = doc.log.entries;
+        entry =
+            entryIndex !== undefined
+                ? entries[entryIndex]
+                : entries.find((e) =>
+                      String(e.response?.content?.mimeType).startsWith(
+                          'text/event-stream',
+                      ),
+                  );
+        if (!entry) {
+            throw new Error(
+                entryIndex !== undefined
+                    ? `HAR log has no entry ${entryIndex}`
+                    : 'HAR log has no text/event-stream entry',
+            );
+        }
+    }
+
+    const content = entry?.response?.content;
+    if (typeof content?.text !== 'string') {
+        throw new Error('HAR entry has no response.content.text');
+    }
+    const text =
+        content.encoding === 'base64'
+            ? Buffer.from(content.text, 'base64').toString('utf8')
+            : content.text;
+
+    // Split after each blank line, keeping the original line endings
+    const parts =
+        text.match(/[\s\S]*?(?:\r\n|\r|\n)(?:\r\n|\r|\n)|[\s\S]+$/g) ?? [];
+    const receiveMs = Math.max(0, entry.timings?.receive ?? 0);
+    const pieces = parts.map((part, i) => ({
+        at: Math.round(
+            parts.length > 1 ? (receiveMs * i) / (parts.length - 1) : 0,
+        ),
+        text: part,
+    }));
+    return { timed: receiveMs > 0, pieces };
+}
+
+// Finds event boundaries and the last event ID in effect after each one,
+// following the WHATWG parsing rules (so resume matches what a browser saw)
+function indexCaptureEvents(text, chunks) {
+    const events = [];
+    let lastEventId = '';
+    let eventType = '';
+    let hasData = false;
+    let pos = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+    let chunkIndex = 0; // pos only moves forward, and so does this
+
+    const lineEnd = /\r\n|\r|\n/g;
+    lineEnd.lastIndex = pos;
+    let match;
+    while ((match = lineEnd.exec(text))) {
+        const line = text.slice(pos, match.index);
+        pos = match.index + match[0].length;
+
+        if (line === '') {
+            if (hasData) {
+                while (chunks[chunkIndex].end < pos) chunkIndex++;
+                events.push({
+                    id: lastEventId,
+                    event: eventType || 'message',
+                    end: pos,
+                    at: chunks[chunkIndex].at,
+                });
+            }
+            eventType = '';
+            hasData = false;
+            continue;
+        }
+        if (line.startsWith(':')) continue;
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) value = value.slice(1);
+
+        if (field === 'data') hasData = true;
+        else if (field === 'event') eventType = value;
+        else if (field === 'id' && !value.includes('\0')) lastEventId = value;
+    }
+    return events;
+}
+
+function buildCapture({ id, name, source, timed, pieces }) {
+    if (!/^[A-Za-z0-9._-]+$/.test(id)) {
+        throw new Error(
+            'id may only contain letters, digits, ".", "_" and "-"',
+        );
+    }
+    if (pieces.length === 0 || pieces.every((p) => p.text === '')) {
+        throw new Error('Capture is empty');
+    }
+
+    const chunks = [];
+    let offset = 0;
+    for (const { at, text } of pieces) {
+        chunks.push({ at, start: offset, end: offset + text.length });
+        offset += text.length;
+    }
+    const text = pieces.map((p) => p.text).join('');
+
+    return {
+        id,
+        name: name || id,
+        source,
+        timed,
+        text,
+        chunks,
+        events: indexCaptureEvents(text, chunks),
+        createdAt: new Date(clock.now()).toISOString(),
+    };
+}
+
+function loadCapturesFromDir(dir) {
+    if (!fs.existsSync(dir)) return;
+
+    for (const file of fs.readdirSync(dir)) {
+        const ext = path.extname(file).toLowerCase();
+        if (!['.sse', '.txt', '.har'].includes(ext)) continue;
+
+        try {
+            const raw = fs.readFileSync(path.join(dir, file), 'utf8');
+            const parsed =
+                ext === '.har'
+                    ? parseHarCapture(JSON.parse(raw))
+                    : parseRawCapture(raw);
+            const capture = buildCapture({
+                id: path.basename(file, ext),
+                source: 'file',
+                ...parsed,
+            });
+            captures.set(capture.id, capture);
+            console.log(`[Capture] Loaded ${capture.id} from ${file}`);
+        } catch (err) {
+            console.warn(`[Capture] Skipped ${file}: ${err.message}`);
+        }
+    }
+}
+
+loadCapturesFromDir(CAPTURES_DIR);
+
+function captureSummary(capture) {
+    return {
+        id: capture.id,
+        name: capture.name,
+        source: capture.source,
+        timed: capture.timed,
+        createdAt: capture.createdAt,
+        bytes: Buffer.byteLength(capture.text),
+        chunks: capture.chunks.length,
+        events: capture.events.length,
+        durationMs: capture.chunks[capture.chunks.length - 1].at,
+        url: `/sse/captures/${capture.id}/stream`,
+    };
+}
+
+// Writes the capture from a text offset onwards, sleeping between chunks;
+// resolves false once the connection is gone
+async function playCapture(res, capture, offset, speed, isClosed) {
+    let previousAt = null;
+    for (const chunk of capture.chunks) {
+        if (chunk.end <= offset) continue;
+        if (isClosed()) return false;
+
+        if (previousAt !== null && chunk.at > previousAt) {
+            await new Promise((resolve) =>
+                clock.setTimeout(resolve, (chunk.at - previousAt) / speed),
+            );
+            if (isClosed()) return false;
+        }
+        previousAt = chunk.at;
+        res.write(capture.text.slice(Math.max(chunk.start, offset), chunk.end));
+    }
+    return true;
+}
+
+// Upload a capture: raw transcript as text, HAR as JSON.
+// ?id= and ?name= name it, ?entry= picks a HAR entry by index.
+app.post('/sse/captures', (req, res) => {
+    const { id = randomId(), name, entry } = req.query;
+
+    let parsed;
+    try {
+        if (typeof req.body === 'string') {
+            parsed = { source: 'raw', ...parseRawCapture(req.body) };
+        } else if (req.body && typeof req.body === 'object') {
+            const entryIndex =
+                entry !== undefined ? parseInt(entry) : undefined;
+            if (entryIndex !== undefined && !(entryIndex >= 0)) {
+                throw new Error('entry must be a non-negative integer');
+            }
+            parsed = {
+                source: 'har',
+                ...parseHarCapture(req.body, entryIndex),
+            };
+        } else {
+            throw new Error(
+                'Send a raw capture as text/event-stream or text/plain, or a HAR document as JSON',
+            );
+        }
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    let capture;
+    try {
+        capture = buildCapture({ id: String(id), name, ...parsed });
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    const replaced = captures.has(capture.id);
+    captures.set(capture.id, capture);
+    console.log(
+        `[Capture] ${replaced ? 'Replaced' : 'Created'} ${capture.id} (${capture.events.length} events, ${capture.chunks.length} chunks)`,
+    );
+
+    res.status(replaced ? 200 : 201).json(captureSummary(capture));
+});
+
+app.get('/sse/captures', (req, res) => {
+    res.json([...captures.values()].map(captureSummary));
+});
+
+app.get('/sse/captures/:captureId', (req, res) => {
+    const capture = captures.get(req.params.captureId);
+    if (!capture) {
+        return res
+            .status(404)
+            .json({ error: `Capture ${req.params.captureId} not found` });
+    }
+    res.json({ ...captureSummary(capture), eventList: capture.events });
+});
+
+app.delete('/sse/captures/:captureId', (req, res) => {
+    const { captureId } = req.params;
+    if (!captures.delete(captureId)) {
+        return res
+            .status(404)
+            .json({ error: `Capture ${captureId} not found` });
+    }
+    console.log(`[Capture] Deleted ${captureId}`);
+    res.status(200).json({ message: `Capture ${captureId} deleted` });
+});
+
+// Replay a capture as an SSE stream
+app.get('/sse/captures/:captureId/stream', async (req, res) => {
+    const capture = captures.get(req.params.captureId);
+    if (!capture) {
+        return res
+            .status(404)
+            .json({ error: `Capture ${req.params.captureId} not found` });
+    }
+
+    const speed = req.query.speed !== undefined ? Number(req.query.speed) : 1;
+    if (!(speed > 0)) {
+        return res
+            .status(400)
+            .json({ error: 'speed must be a positive number' });
+    }
+    const { loop } = req.query;
+    const times =
+        loop === undefined || loop === 'false'
+            ? 1
+            : loop === 'true'
+              ? Infinity
+              : parseInt(loop);
+    if (!(times >= 1)) {
+        return res
+            .status(400)
+            .json({ error: 'loop must be true, false or a positive integer' });
+    }
+    const loopDelay =
+        req.query.loopDelay !== undefined
+            ? parseInt(req.query.loopDelay)
+            : 1000;
+    if (!(loopDelay >= 0)) {
+        return res
+            .status(400)
+            .json({ error: 'loopDelay must be a non-negative integer' });
+    }
+
+    applyCompression(req, res, `/sse/captures/${capture.id}`);
+    applyMetrics(req, res, '/sse/captures/:captureId/stream');
+    if (!applyLimits(req, res, '/sse/captures/:captureId/stream')) return;
+    if (!applyAuth(req, res, `/sse/captures/${capture.id}`)) return;
+
+    // Resume right after the last event dispatched with this Last-Event-ID,
+    // so id-less events that followed it aren't replayed
+    const lastEventId = req.headers['last-event-id'];
+    let offset = 0;
+    if (lastEventId !== undefined) {
+        const resumeAt = capture.events.findLast((e) => e.id === lastEventId);
+        if (resumeAt) offset = resumeAt.end;
+        console.log(
+            `[Capture] ${capture.id}: Last-Event-ID ${lastEventId} ${resumeAt ? `→ resuming at offset ${offset}` : 'not in capture, replaying from the start'}`,
+        );
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+    applyHeartbeat(req, res, `/sse/captures/${capture.id}`);
+
+    let closed = false;
+    res.on('close', () => {
+        closed = true;
+    });
+
+    console.log(
+        `[Capture] Playing ${capture.id} (speed ${speed}x, ${times === Infinity ? 'looping' : `${times} time(s)`})`,
+    );
+
+    for (let i = 0; i < times; i++) {
+        if (i > 0) {
+            await new Promise((resolve) =>
+                clock.setTimeout(resolve, loopDelay),
+            );
+        }
+        if (
+            !(await playCapture(
+                res,
+                capture,
+                i === 0 ? offset : 0,
+                speed,
+                () => closed,
+            ))
+        ) {
+            return;
+        }
+    }
+    res.end();
+});
+
+// ---- Wire-format conformance cases ----
+// Each case writes legal-but-unusual SSE bytes and publishes the events a
+// spec-compliant parser (WHATWG HTML §9.2) must dispatch for them.
+const CONFORMANCE_CASES = {
+    crlf: {
+        description: 'CRLF line endings',
+        chunks: [
+            'id: 1\r\nevent: greeting\r\ndata: hello\r\n\r\n',
+            'data: line one\r\ndata: line two\r\n\r\n',
+        ],
+        expected: [
+            { type: 'greeting', data: 'hello', lastEventId: '1' },
+            { type: 'message', data: 'line one\nline two', lastEventId: '1' },
+        ],
+    },
+    cr: {
+        description: 'Bare CR line endings',
+        chunks: [
+            'id: 1\revent: greeting\rdata: hello\r\r',
+            'data: line one\rdata: line two\r\r',
+        ],
+        expected: [
+            { type: 'greeting', data: 'hello', lastEventId: '1' },
+            { type: 'message', data: 'line one\nline two', lastEventId: '1' },
+        ],
+    },
+    bom: {
+        description:
+            'Leading BOM is stripped once; a later BOM makes the field name unknown',
+        chunks: [
+            '\uFEFFdata: after bom\n\n',
+            '\uFEFFdata: ignored\n\n',
+            'data: third\n\n',
+        ],
+        expected: [
+            { type: 'message', data: 'after bom', lastEventId: '' },
+            { type: 'message', data: 'third', lastEventId: '' },
+        ],
+    },
+    'multiline-data': {
+        description:
+            'Several data fields are joined with LF, including empty ones',
+        chunks: ['data: first\ndata: second\ndata:\ndata: fourth\n\n'],
+        expected: [
+            {
+                type: 'message',
+                data: 'first\nsecond\n\nfourth',
+                lastEventId: '',
+            },
+        ],
+    },
+    'no-space': {
+        description:
+            'No space after the colon; only one leading space is removed',
+        chunks: [
+            'data:no space\n\n',
+            'data:  two spaces\n\n',
+            'event:custom\ndata:x\n\n',
+        ],
+        expected: [
+            { type: 'message', data: 'no space', lastEventId: '' },
+            { type: 'message', data: ' two spaces', lastEventId: '' },
+            { type: 'custom', data: 'x', lastEventId: '' },
+        ],
+    },
+    comments: {
+        description: 'Comment lines are ignored, even inside an event',
+        chunks: [
+            ': this is a comment\ndata: a\n: another\ndata: b\n\n',
+            ':\n\n',
+        ],
+        expected: [{ type: 'message', data: 'a\nb', lastEventId: '' }],
+    },
+    'unknown-field': {
+        description: 'Unknown and wrongly-cased field names are ignored',
+        chunks: [
+            'foo: bar\ndata: kept\nDATA: field names are case-sensitive\nretryx: 1\n\n',
+        ],
+        expected: [{ type: 'message', data: 'kept', lastEventId: '' }],
+    },
+    'id-nul': {
+        description:
+            'An id containing NUL is ignored; an empty id resets the last event ID',
+        chunks: [
+            'id: 1\ndata: a\n\n',
+            'id: 2\u00003\ndata: b\n\n',
+            'id\ndata: c\n\n',
+        ],
+        expected: [
+            { type: 'message', data: 'a', lastEventId: '1' },
+            { type: 'message', data: 'b', lastEventId: '1' },
+            { type: 'message', data: 'c', lastEventId: '' },
+        ],
+    },
+    'byte-split': {
+        description:
+            'One event written a single byte per TCP write, splitting multi-byte UTF-8',
+        chunks: ['id: 42\nevent: split\ndata: héllo wörld 🚀\n\n'],
+        splitBytes: true,
+        delayMs: 10,
+        expected: [
+            { type: 'split', data: 'héllo wörld 🚀', lastEventId: '42' },
+        ],
+    },
+    'empty-data': {
+        description:
+            'Empty data fields dispatch an empty message; events without data are dropped',
+        chunks: ['data\n\n', 'data:\n\n', 'event: no-data\n\n', 'data: \n\n'],
+        expected: [
+            { type: 'message', data: '', lastEventId: '' },
+            { type: 'message', data: '', lastEventId: '' },
+            { type: 'message', data: '', lastEventId: '' },
+        ],
+    },
+    'no-trailing-blank': {
+        description:
+            'An event not terminated by a blank line before close is discarded',
+        chunks: ['data: complete\n\n', 'data: incomplete\n'],
+        expected: [{ type: 'message', data: 'complete', lastEventId: '' }],
+    },
+};
+
+function conformanceCaseSummary(name) {
+    const { description, expected } = CONFORMANCE_CASES[name];
+    return {
+        case: name,
+        description,
+        url: `/sse/conformance?case=${name}`,
+        expected,
+    };
+}
+
+function unknownConformanceCase(res, name) {
+    res.status(400).json({
+        error: name
+            ? `Unknown conformance case: ${name}`
+            : 'Missing case query parameter',
+        cases: Object.keys(CONFORMANCE_CASES),
+    });
+}
+
+// Expected parse results: one case via ?case=, or all of them
+app.get('/sse/conformance/expected', (req, res) => {
+    const name = req.query.case;
+    if (!name) {
+        return res.json(
+            Object.keys(CONFORMANCE_CASES).map(conformanceCaseSummary),
+        );
+    }
+    if (!CONFORMANCE_CASES[name]) return unknownConformanceCase(res, name);
+    res.json(conformanceCaseSummary(name));
+});
+
+// Raw edge-case stream; closes once all bytes are written
+app.get('/sse/conformance', async (req, res) => {
+    const name = req.query.case;
+    const testCase = CONFORMANCE_CASES[name];
+    if (!testCase) return unknownConformanceCase(res, name);
+    applyCompression(req, res, `/sse/conformance ${name}`);
+    applyMetrics(req, res, '/sse/conformance');
+    if (!applyLimits(req, res, '/sse/conformance')) return;
+    if (!applyAuth(req, res, `/sse/conformance ${name}`)) return;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+    });
+    res.flushHeaders();
+    applyHeartbeat(req, res, `/sse/conformance ${name}`);
+
+    let closed = false;
+    req.on('close', () => {
+        closed = true;
+    });
+
+    const writes = testCase.splitBytes
+        ? testCase.chunks.flatMap((chunk) =>
+              [...Buffer.from(chunk)].map((byte) => Buffer.from([byte])),
+          )
+        : testCase.chunks;
+
+    for (const piece of writes) {
+        if (closed) return;
+        res.write(piece);
+        if (testCase.delayMs) {
+            await new Promise((resolve) =>
+                clock.setTimeout(resolve, testCase.delayMs),
+            );
+        }
+    }
+
+    console.log(`[Conformance] Sent case ${name} (${writes.length} writes)`);
+    res.end();
+});
+
+// ---- Browser conformance page ----
+// /conformance runs EventSource checks in whatever browser opens it and
+// posts the results back, so browsers and webviews can be compared.
+const MAX_CONFORMANCE_RUNS = 50;
+const conformanceRuns = []; // Oldest first
+
+app.get('/conformance', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'conformance.html'));
+});
+
+app.post('/conformance/results', (req, res) => {
+    const { results, summary, userAgent, startedAt, finishedAt } =
+        req.body ?? {};
+    if (!Array.isArray(results)) {
+        return res.status(400).json({ error: 'results must be an array' });
+    }
+
+    const run = {
+        id: randomId(),
+        receivedAt: new Date(clock.now()).toISOString(),
+        userAgent: userAgent ?? req.headers['user-agent'] ?? null,
+        startedAt: startedAt ?? null,
+        finishedAt: finishedAt ?? null,
+        summary: summary ?? null,
+        results,
+    };
+    conformanceRuns.push(run);
+    if (conformanceRuns.length > MAX_CONFORMANCE_RUNS) conformanceRuns.shift();
+
+    console.log(
+        `[Conformance] Browser run ${run.id}: ${JSON.stringify(run.summary)} – ${run.userAgent}`,
+    );
+    res.status(201).json({ id: run.id });
+});
+
+app.get('/conformance/results', (req, res) => {
+    res.json({ runs: conformanceRuns });
+});
+
+app.get('/conformance/results/:runId', (req, res) => {
+    const run = conformanceRuns.find((r) => r.id === req.params.runId);
+    if (!run) {
+        return res
+            .status(404)
+            .json({ error: `Run ${req.params.runId} not found` });
+    }
+    res.json(run);
+});
+
+// ---- Dashboard ----
+// /dashboard shows every stream with its counters, TTL and open
+// connections plus a tail of recent events, and lets testers delete,
+// finish or kick streams by hand. The page itself is fed by
+// /sse/dashboard: a snapshot event every second and an activity event
+// for each event a stream sends.
+const DASHBOARD_INTERVAL_MS = 1000;
+const MAX_ACTIVITY = 100; // Recent events replayed to a new dashboard
+const MAX_ACTIVITY_PREVIEW = 200; // Characters of data kept per event
+
+const activity = []; // Oldest first
+const activityEmitter = new EventEmitter();
+activityEmitter.setMaxListeners(0);
+
+// Called wherever a stream sends an event; keeps a short preview only,
+// so large payloads and file chunks don't pile up here
+function noteActivity(streamId, type, event) {
+    const data = JSON.stringify(event.data) ?? '';
+    const entry = {
+        at: new Date(clock.now()).toISOString(),
+        streamId,
+        type,
+        id: event.id ?? null,
+        event: event.event ?? 'message',
+        topic: event.topic ?? null,
+        preview:
+            data.length > MAX_ACTIVITY_PREVIEW
+                ? data.slice(0, MAX_ACTIVITY_PREVIEW) + '…'
+                : data,
+    };
+    activity.push(entry);
+    if (activity.length > MAX_ACTIVITY) activity.shift();
+    activityEmitter.emit('activity', entry);
+}
+
+function dashboardSnapshot() {
+    const connections = {};
+    for (const [streamId, records] of connectionLog) {
+        const open = records.filter((r) => r.status === 'open');
+        if (open.length === 0) continue;
+        connections[streamId] = open.map((r) => ({
+            id: r.id,
+            route: r.route,
+            connectedAt: r.connectedAt,
+            remoteAddress: r.remoteAddress,
+            lastEventId: r.lastEventId,
+            retry: r.retry,
+            bytesSent: r.bytesSent,
+            eventsSent: r.eventsSent,
+        }));
+    }
+
+    return {
+        time: new Date(clock.now()).toISOString(),
+        clockMode: CLOCK_MODE,
+        inactivityTimeoutMs: INACTIVITY_TIMEOUT_MS,
+        finishedGraceMs: FINISHED_GRACE_MS,
+        openConnections: openResponses.size,
+        shuttingDown: !!shutdownState,
+        streams: [...streams.values()].map(streamSummary),
+        fileStreams: [...eventStore.keys()].map(fileStreamSummary),
+        connections,
+    };
+}
+
+app.get('/dashboard', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
+});
+
+// Not run through applyLimits: dashboard tabs are no test traffic, so they
+// never use up caps or rate slots, hold up a shutdown drain or show up in
+// openConnections (a shutdown still notifies and closes them)
+app.get('/sse/dashboard', (req, res) => {
+    applyMetrics(req, res, '/sse/dashboard');
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+    });
+
+    sendEvent(res, dashboardSnapshot(), { event: 'snapshot' });
+    for (const entry of activity) {
+        sendEvent(res, entry, { event: 'activity' });
+    }
+
+    // Real timers, so the page keeps updating while a virtual clock is
+    // paused (and doesn't add to its pending timers)
+    const timer = setInterval(() => {
+        sendEvent(res, dashboardSnapshot(), { event: 'snapshot' });
+    }, DASHBOARD_INTERVAL_MS);
+    const onActivity = (entry) => {
+        sendEvent(res, entry, { event: 'activity' });
+    };
+    activityEmitter.on('activity', onActivity);
+
+    res.on('close', () => {
+        clearInterval(timer);
+        activityEmitter.off('activity', onActivity);
+    });
+});
+
+// ---- LLM streaming simulator ----
+// OpenAI chat/completions and Anthropic messages lookalikes for testing SDK
+// wrappers offline. Point an SDK's base URL at /sse/llm/openai/v1 or
+// /sse/llm/anthropic and tune the stream with query params (SDKs expose
+// these as default query options):
+//   text          – response text (split into word-sized tokens)
+//   tps           – tokens per second (default 20)
+//   jitter        – 0–1, random variation of the per-token delay
+//   errorAfter    – send a mid-stream error event after N tokens
+//   toolCall      – also stream a tool call to this function name
+//   toolArgs      – JSON arguments for that tool call (default {})
+//   truncateAfter – close the stream after N tokens, without terminal events
+const LLM_DEFAULT_TEXT =
+    'Server-Sent Events let a server push a stream of updates over a single HTTP response. ' +
+    'This reply was generated by the SSE test server, one token at a time.';
+
+function parseLlmOptions(req) {
+    const { query } = req;
+    const text = typeof query.text === 'string' ? query.text : LLM_DEFAULT_TEXT;
+    const tps = Math.max(0.1, parseFloat(query.tps) || 20);
+    const jitter = Math.min(1, Math.max(0, parseFloat(query.jitter) || 0));
+    const rng = requestRandom(req);
+
+    // Tool input must be a JSON object; anything else is wrapped
+    let toolArgs = {};
+    if (query.toolArgs) {
+        try {
+            toolArgs = JSON.parse(query.toolArgs);
+        } catch {
+            toolArgs = null;
+        }
+        if (
+            !toolArgs ||
+            typeof toolArgs !== 'object' ||
+            Array.isArray(toolArgs)
+        ) {
+            toolArgs = { raw: String(query.toolArgs) };
+        }
+    }
+
+    // 0 is meaningful here (before the first token), so no `|| null`
+    const tokenCount = (value) => {
+        const count = Number(value);
+        return value !== undefined && value !== '' && Number.isInteger(count)
+            ? Math.max(0, count)
+            : null;
+    };
+
+    const promptChars = JSON.stringify(
+        req.body?.messages ?? req.body?.prompt ?? '',
+    ).length;
+
+    return {
+        model: req.body?.model || 'sse-test-model',
+        rng,
+        tokens: text.match(/\s*\S+|\s+/g) ?? [],
+        delayMs: () => (1000 / tps) * (1 + jitter * (rng() * 2 - 1)),
+        errorAfter: tokenCount(query.errorAfter),
+        truncateAfter: tokenCount(query.truncateAfter),
+        toolCall: query.toolCall
+            ? { name: String(query.toolCall), args: JSON.stringify(toolArgs) }
+            : null,
+        inputTokens: Math.max(1, Math.round(promptChars / 4)),
+        stream: req.body?.stream === true,
+    };
+}
+
+// Splits tool-call arguments into a few partial JSON deltas
+function splitToolArgs(args) {
+    const size = Math.max(1, Math.ceil(args.length / 4));
+    const parts = [];
+    for (let i = 0; i < args.length; i += size) {
+        parts.push(args.slice(i, i + size));
+    }
+    return parts;
+}
+
+// Prepares a streaming LLM response; returns null if already answered
+function startLlmStream(req, res, label) {
+    applyCompression(req, res, label);
+    applyMetrics(req, res, label);
+    if (!applyLimits(req, res, label)) return null;
+    if (!applyAuth(req, res, label)) return null;
+
     res.set({
         'Content-Type': 'text/event-stream',
         'Cache-Control': 'no-cache',
         Connection: 'keep-alive',
     });
+    applyChaos(req, res, label);
+    applyHeartbeat(req, res, label);
+    res.flushHeaders();
+
+    // res 'close' rather than req: a POST body is fully read long before
+    // the client disconnects
+    const stream = { closed: false };
+    res.on('close', () => {
+        stream.closed = true;
+    });
+    stream.sleep = (ms) =>
+        new Promise((resolve) => clock.setTimeout(resolve, ms));
+    return stream;
+}
+
+app.post('/sse/llm/openai/v1/chat/completions', async (req, res) => {
+    const options = parseLlmOptions(req);
+    const id = `chatcmpl-${randomId(options.rng).replace(/-/g, '').slice(0, 24)}`;
+    const created = Math.floor(eventTime() / 1000);
+    const text = options.tokens.join('');
+    const finishReason = options.toolCall ? 'tool_calls' : 'stop';
+    const toolCallId = `call_${randomId(options.rng).replace(/-/g, '').slice(0, 24)}`;
+    const usage = {
+        prompt_tokens: options.inputTokens,
+        completion_tokens: options.tokens.length,
+        total_tokens: options.inputTokens + options.tokens.length,
+    };
+
+    if (!options.stream) {
+        if (!applyAuth(req, res, '/sse/llm/openai')) return;
+        const message = { role: 'assistant', content: text, refusal: null };
+        if (options.toolCall) {
+            message.tool_calls = [
+                {
+                    id: toolCallId,
+                    type: 'function',
+                    function: {
+                        name: options.toolCall.name,
+                        arguments: options.toolCall.args,
+                    },
+                },
+            ];
+        }
+        return res.json({
+            id,
+            object: 'chat.completion',
+            created,
+            model: options.model,
+            choices: [
+                {
+                    index: 0,
+                    message,
+                    logprobs: null,
+                    finish_reason: finishReason,
+                },
+            ],
+            usage,
+        });
+    }
+
+    const stream = startLlmStream(req, res, '/sse/llm/openai');
+    if (!stream) return;
+
+    const chunk = (delta, finish_reason = null) =>
+        res.write(
+            `data: ${JSON.stringify({
+                id,
+                object: 'chat.completion.chunk',
+                created,
+                model: options.model,
+                system_fingerprint: null,
+                choices: [{ index: 0, delta, logprobs: null, finish_reason }],
+            })}\n\n`,
+        );
+
+    chunk({ role: 'assistant', content: '', refusal: null });
+
+    for (let i = 0; i < options.tokens.length; i++) {
+        await stream.sleep(options.delayMs());
+        if (stream.closed) return;
+
+        if (options.errorAfter !== null && i === options.errorAfter) {
+            res.write(
+                `data: ${JSON.stringify({
+                    error: {
+                        message: 'Simulated mid-stream error',
+                        type: 'server_error',
+                        param: null,
+                        code: null,
+                    },
+                })}\n\n`,
+            );
+            console.log(`[LLM] openai ${id}: error after ${i} tokens`);
+            return res.end();
+        }
+        if (options.truncateAfter !== null && i === options.truncateAfter) {
+            console.log(`[LLM] openai ${id}: truncated after ${i} tokens`);
+            return res.end();
+        }
+
+        chunk({ content: options.tokens[i] });
+    }
+
+    if (options.toolCall) {
+        chunk({
+            tool_calls: [
+                {
+                    index: 0,
+                    id: toolCallId,
+                    type: 'function',
+                    function: { name: options.toolCall.name, arguments: '' },
+                },
+            ],
+        });
+        for (const part of splitToolArgs(options.toolCall.args)) {
+            await stream.sleep(options.delayMs());
+            if (stream.closed) return;
+            chunk({
+                tool_calls: [{ index: 0, function: { arguments: part } }],
+            });
+        }
+    }
+
+    chunk({}, finishReason);
 
-    const data = req.body;
-    sendEvent(res, { echoed: data }, { event: 'echo' });
-    res.end(); // Single event for simplicity, or extend to stream
-});
+    if (req.body?.stream_options?.include_usage) {
+        res.write(
+            `data: ${JSON.stringify({
+                id,
+                object: 'chat.completion.chunk',
+                created,
+                model: options.model,
+                system_fingerprint: null,
+                choices: [],
+                usage,
+            })}\n\n`,
+        );
+    }
 
-// Error simulation endpoint
-app.get('/sse/error', (req, res) => {
-    const { code = 500 } = req.query;
-    res.status(parseInt(code)).send('Simulated SSE error');
+    res.write('data: [DONE]\n\n');
+    res.end();
 });
 
-// Timeout simulation: Hangs for a long time
-app.get('/sse/timeout', (req, res) => {
-    // Parse delay from query param (in milliseconds)
-    // Default to 30 seconds if missing or invalid
-    let delayMs = Math.max(1000, parseInt(req.query.delay) || 30000); // min 1s to avoid abuse
+app.post('/sse/llm/anthropic/v1/messages', async (req, res) => {
+    const options = parseLlmOptions(req);
+    const id = `msg_${randomId(options.rng).replace(/-/g, '').slice(0, 24)}`;
+    const text = options.tokens.join('');
+    const stopReason = options.toolCall ? 'tool_use' : 'end_turn';
+    const toolUseId = `toolu_${randomId(options.rng).replace(/-/g, '').slice(0, 24)}`;
 
-    // Optional: also support ?seconds= for readability
-    if (req.query.seconds) {
-        const seconds = parseInt(req.query.seconds);
-        if (!isNaN(seconds) && seconds > 0) {
-            delayMs = seconds * 1000;
+    if (!options.stream) {
+        if (!applyAuth(req, res, '/sse/llm/anthropic')) return;
+        const content = [{ type: 'text', text }];
+        if (options.toolCall) {
+            content.push({
+                type: 'tool_use',
+                id: toolUseId,
+                name: options.toolCall.name,
+                input: JSON.parse(options.toolCall.args),
+            });
         }
+        return res.json({
+            id,
+            type: 'message',
+            role: 'assistant',
+            model: options.model,
+            content,
+            stop_reason: stopReason,
+            stop_sequence: null,
+            usage: {
+                input_tokens: options.inputTokens,
+                output_tokens: options.tokens.length,
+            },
+        });
     }
 
-    // Optional logging for debugging
-    console.log(
-        `[Timeout] Simulating delay of ${delayMs}ms for request from ${req.ip}`,
-    );
+    const stream = startLlmStream(req, res, '/sse/llm/anthropic');
+    if (!stream) return;
 
-    // Send headers immediately (important for SSE-like feel, even though we eventually 408)
-    res.set({
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        Connection: 'keep-alive',
+    const send = (event, data) =>
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    send('message_start', {
+        type: 'message_start',
+        message: {
+            id,
+            type: 'message',
+            role: 'assistant',
+            model: options.model,
+            content: [],
+            stop_reason: null,
+            stop_sequence: null,
+            usage: { input_tokens: options.inputTokens, output_tokens: 1 },
+        },
     });
+    send('content_block_start', {
+        type: 'content_block_start',
+        index: 0,
+        content_block: { type: 'text', text: '' },
+    });
+    send('ping', { type: 'ping' });
 
-    // Send an initial message so client knows connection is open
-    res.write('data: Waiting for simulated timeout...\n\n');
-    res.flushHeaders();
+    for (let i = 0; i < options.tokens.length; i++) {
+        await stream.sleep(options.delayMs());
+        if (stream.closed) return;
 
-    // Delay and then respond with 408 (Request Timeout)
-    setTimeout(() => {
-        res.write(
-            `data: Simulated timeout reached after ${delayMs / 1000} seconds\n\n`,
-        );
-        res.write(`event: timeout\ndata: Connection will now close\n\n`);
+        if (options.errorAfter !== null && i === options.errorAfter) {
+            send('error', {
+                type: 'error',
+                error: { type: 'overloaded_error', message: 'Overloaded' },
+            });
+            console.log(`[LLM] anthropic ${id}: error after ${i} tokens`);
+            return res.end();
+        }
+        if (options.truncateAfter !== null && i === options.truncateAfter) {
+            console.log(`[LLM] anthropic ${id}: truncated after ${i} tokens`);
+            return res.end();
+        }
 
-        res.end();
-    }, delayMs);
-});
+        send('content_block_delta', {
+            type: 'content_block_delta',
+            index: 0,
+            delta: { type: 'text_delta', text: options.tokens[i] },
+        });
+    }
 
-// Multi-event type stream for testing custom events
-app.get('/sse/multi', (req, res) => {
-    res.set({
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        Connection: 'keep-alive',
+    send('content_block_stop', { type: 'content_block_stop', index: 0 });
+
+    if (options.toolCall) {
+        send('content_block_start', {
+            type: 'content_block_start',
+            index: 1,
+            content_block: {
+                type: 'tool_use',
+                id: toolUseId,
+                name: options.toolCall.name,
+                input: {},
+            },
+        });
+        for (const part of splitToolArgs(options.toolCall.args)) {
+            await stream.sleep(options.delayMs());
+            if (stream.closed) return;
+            send('content_block_delta', {
+                type: 'content_block_delta',
+                index: 1,
+                delta: { type: 'input_json_delta', partial_json: part },
+            });
+        }
+        send('content_block_stop', { type: 'content_block_stop', index: 1 });
+    }
+
+    send('message_delta', {
+        type: 'message_delta',
+        delta: { stop_reason: stopReason, stop_sequence: null },
+        usage: { output_tokens: options.tokens.length },
     });
+    send('message_stop', { type: 'message_stop' });
+    res.end();
+});
 
-    // Parse query params with safe defaults
-    const intervalMs = Math.max(100, parseInt(req.query.interval) || 1000); // min 100ms to avoid spam
-    const eventCount = Math.max(
-        1,
-        Math.min(100, parseInt(req.query.count) || 3),
-    ); // 1–100 limit
-    const customTypes = req.query.types
-        ? req.query.types
-              .split(',')
-              .map((t) => t.trim())
-              .filter((t) => t)
-        : ['ping', 'update', 'alert']; // default cycle
-    const delayFirstMs = parseInt(req.query.delayFirst) || 0;
+// ---- HTTP/2 ----
+// Express only knows HTTP/1 req/res, so HTTP/2 compat requests are handled
+// by a view of the app whose prototypes carry Express's methods on top of
+// Http2ServerRequest/Http2ServerResponse.
+const HTTP2_CONNECTION_HEADERS =
+    /^(connection|keep-alive|proxy-connection|transfer-encoding|upgrade)$/i;
 
-    let index = 0;
-    let sentCount = 0;
+function http2Prototype(expressProto, base, extra = {}) {
+    const proto = Object.create(
+        base,
+        Object.getOwnPropertyDescriptors(Object.getPrototypeOf(expressProto)),
+    );
+    Object.defineProperties(proto, Object.getOwnPropertyDescriptors(extra));
+    proto.app = app;
+    return proto;
+}
 
-    // Optional: initial delay
-    setTimeout(() => {
-        const sendNext = () => {
-            if (sentCount >= eventCount) {
-                res.write('data: Sequence complete\n\n');
-                res.end();
-                return;
-            }
+const http2App = Object.create(app, {
+    request: {
+        value: http2Prototype(app.request, http2.Http2ServerRequest.prototype),
+    },
+    response: {
+        value: http2Prototype(
+            app.response,
+            http2.Http2ServerResponse.prototype,
+            {
+                // HTTP/2 forbids connection-specific headers such as the
+                // Connection: keep-alive our SSE routes set – drop them
+                setHeader(name, value) {
+                    if (HTTP2_CONNECTION_HEADERS.test(name)) return this;
+                    return http2.Http2ServerResponse.prototype.setHeader.call(
+                        this,
+                        name,
+                        value,
+                    );
+                },
+                // Stream state the rest of the server reads from res
+                get destroyed() {
+                    return this.stream.destroyed;
+                },
+                get writableNeedDrain() {
+                    return this.stream.writableNeedDrain;
+                },
+                get writableFinished() {
+                    return this.stream.writableFinished;
+                },
+            },
+        ),
+    },
+});
 
-            // Cycle through types
-            const eventType = customTypes[index % customTypes.length];
+const http2Sessions = new Set();
+const http2Streams = new Set(); // { stream, res, path, startedAt }
 
-            index++;
+// Request handler for the HTTP/2 listeners. Any route also accepts
+//   h2ResetAfterMs – send RST_STREAM after N ms
+//   h2ResetCode    – error code for that reset (default CANCEL)
+function handleHttp2Request(req, res) {
+    // allowHTTP1 hands us plain HTTP/1.1 requests as well
+    if (req.httpVersionMajor !== 2) return app(req, res);
 
-            const payload = {
-                message: `Event of type ${eventType} (${sentCount + 1}/${eventCount})`,
-                sequenceIndex: sentCount + 1,
-                timestamp: new Date().toISOString(),
-            };
+    const entry = {
+        stream: req.stream,
+        res,
+        path: req.url,
+        startedAt: clock.now(),
+    };
+    http2Streams.add(entry);
+    req.stream.on('close', () => http2Streams.delete(entry));
 
-            sendEvent(res, payload, {
-                event: eventType,
-                id: sentCount + 1, // simple incremental ID
-            });
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    const resetAfterMs = parseInt(query.get('h2ResetAfterMs'));
+    if (resetAfterMs >= 0) {
+        const code =
+            parseInt(query.get('h2ResetCode')) ||
+            http2.constants.NGHTTP2_CANCEL;
+        const timer = clock.setTimeout(() => {
+            if (req.stream.destroyed) return;
+            console.log(`[HTTP/2] RST_STREAM ${code} on ${req.url}`);
+            res.locals.disconnectReason = 'h2-rst-stream';
+            req.stream.close(code);
+        }, resetAfterMs);
+        req.stream.on('close', () => clock.clearTimeout(timer));
+    }
 
-            sentCount++;
+    http2App.handle(req, res);
+}
 
-            // Schedule next
-            setTimeout(sendNext, intervalMs);
-        };
+function trackHttp2Sessions(server) {
+    server.on('session', (session) => {
+        http2Sessions.add(session);
+        session.on('close', () => http2Sessions.delete(session));
+    });
+    return server;
+}
 
-        // Start the sequence
-        sendNext();
-    }, delayFirstMs);
+function readTlsOptions() {
+    return {
+        key: readFileSync(path.join(CERTS_DIR, 'privkey.pem')),
+        cert: readFileSync(path.join(CERTS_DIR, 'fullchain.pem')),
+    };
+}
 
-    // Cleanup on client disconnect
-    req.on('close', () => {
-        res.end();
+app.get('/sse/http2', (req, res) => {
+    res.json({
+        listeners: {
+            tls: HTTP2_PORT ? Number(HTTP2_PORT) : null,
+            h2c: H2C_PORT ? Number(H2C_PORT) : null,
+        },
+        maxConcurrentStreams: H2_MAX_CONCURRENT_STREAMS,
+        sessions: http2Sessions.size,
+        streams: [...http2Streams].map(({ stream, path, startedAt }) => ({
+            id: stream.id,
+            path,
+            startedAt: new Date(startedAt).toISOString(),
+        })),
     });
 });
 
-// File streaming simulation
-app.get('/sse/stream-file', (req, res) => {
-    res.set({
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        Connection: 'keep-alive',
+// Simulate GOAWAY on every HTTP/2 session:
+//   frame     – only send the GOAWAY frame, leave everything open
+//   graceful  – GOAWAY(NO_ERROR), let open streams finish
+//   immediate – GOAWAY(errorCode) and tear the session down
+app.post('/sse/http2/goaway', (req, res) => {
+    const {
+        mode = 'graceful',
+        errorCode = http2.constants.NGHTTP2_NO_ERROR,
+        lastStreamId,
+    } = req.body ?? {};
+
+    if (!['frame', 'graceful', 'immediate'].includes(mode)) {
+        return res
+            .status(400)
+            .json({ error: 'mode must be one of frame, graceful, immediate' });
+    }
+    if (!Number.isInteger(errorCode) || errorCode < 0) {
+        return res
+            .status(400)
+            .json({ error: 'errorCode must be a non-negative integer' });
+    }
+
+    // The request asking for this may itself be on one of the sessions
+    const sessions = [...http2Sessions];
+    if (mode !== 'frame') {
+        for (const entry of http2Streams) {
+            if (entry.res !== res)
+                entry.res.locals.disconnectReason = 'h2-goaway';
+        }
+    }
+    res.on('finish', () => {
+        for (const session of sessions) {
+            if (mode === 'frame') session.goaway(errorCode, lastStreamId);
+            else if (mode === 'graceful') session.close();
+            else session.destroy(undefined, errorCode);
+        }
     });
 
-    const {
-        totalBytes = 1024 * 1024, // default 1 MB
-        chunkSize = 8192, // ~8KB per chunk (realistic)
-        delayMs = 50, // ms between chunks
-        streamId = 'sim-file-' + Date.now(), // unique by default
-        eventType = 'chunk',
-        format = 'text', // 'text' | 'jsonl' | 'binary'
-    } = req.query;
+    console.log(
+        `[HTTP/2] GOAWAY (${mode}, code ${errorCode}) to ${sessions.length} session(s)`,
+    );
+    res.json({ mode, errorCode, sessions: sessions.length });
+});
 
-    const totalBytesNum = parseInt(totalBytes);
-    const chunkSizeNum = Math.max(1, parseInt(chunkSize));
-    const delayNum = parseInt(delayMs);
+// Reset open HTTP/2 streams, optionally only those whose path starts with
+// the given prefix (e.g. /sse/test)
+app.post('/sse/http2/reset', (req, res) => {
+    const { code = http2.constants.NGHTTP2_CANCEL, path: prefix = '/sse/' } =
+        req.body ?? {};
 
-    // For resumption support
-    if (!eventStore.has(streamId)) {
-        eventStore.set(streamId, []);
+    if (!Number.isInteger(code) || code < 0) {
+        return res
+            .status(400)
+            .json({ error: 'code must be a non-negative integer' });
     }
 
-    const stored = eventStore.get(streamId);
+    const targets = [...http2Streams].filter(
+        ({ stream, path }) =>
+            path.startsWith(prefix) &&
+            !path.startsWith('/sse/http2') &&
+            !stream.destroyed,
+    );
+    for (const { stream, res: target } of targets) {
+        target.locals.disconnectReason = 'h2-rst-stream';
+        stream.close(code);
+    }
 
-    let byteSent = 0;
-    let chunkIndex = 0;
-    let lastId = 0;
+    console.log(`[HTTP/2] RST_STREAM ${code} on ${targets.length} stream(s)`);
+    res.json({ code, reset: targets.length });
+});
 
-    // Handle reconnection with Last-Event-ID
-    const lastEventId = req.headers['last-event-id']
-        ? parseInt(req.headers['last-event-id'])
-        : 0;
+// ---- Graceful shutdown ----
+// On SIGTERM/SIGINT (or POST /sse/shutdown, which only simulates it):
+//   1. stop accepting connections – listeners close, new streams get 503
+//   2. send every open stream a final event with a retry hint
+//   3. stop generators, the cleanup loop and store expirations
+//   4. wait up to the drain timeout for clients to leave, then close the rest
+//   5. flush the store and exit (a simulation re-arms everything instead,
+//      restarting the generators it stopped)
+// A second signal exits immediately.
+const SHUTDOWN_EVENT = process.env.SHUTDOWN_EVENT || 'shutdown';
+const SHUTDOWN_RETRY_MS = parseInt(process.env.SHUTDOWN_RETRY_MS) || 5000;
+const SHUTDOWN_DRAIN_MS = parseInt(process.env.SHUTDOWN_DRAIN_MS) || 10000;
 
-    if (lastEventId > 0) {
-        const resumeIndex = stored.findIndex((e) => e.id === lastEventId);
+const servers = []; // Every listener, closed on a real shutdown
+let shutdownState = null; // Set while draining
 
-        if (resumeIndex > 0) {
-            for (let i = resumeIndex; i < stored.length; i++) {
-                sendEvent(res, stored[i].data, {
-                    id: stored[i].id,
-                    event: eventType,
-                });
-            }
-            byteSent = stored.length * chunkSizeNum; // approximate
-            chunkIndex = stored.length;
-            lastId = lastEventId;
-            sendEvent(
-                res,
-                {
-                    message: `Resume simulated file chunk from chunk ${chunkIndex}`,
-                },
-                { id: ++lastId },
-            );
-        }
-    } else {
+async function shutdown({
+    simulated = false,
+    reason = 'shutdown',
+    drainMs = SHUTDOWN_DRAIN_MS,
+    event = SHUTDOWN_EVENT,
+    retry = SHUTDOWN_RETRY_MS,
+} = {}) {
+    shutdownState = {
+        simulated,
+        reason,
+        drainMs,
+        event,
+        retry,
+        connections: openResponses.size,
+        startedAt: clock.now(),
+    };
+    const state = shutdownState;
+    console.log(
+        `[Shutdown] ${simulated ? 'Simulated' : 'Graceful'} shutdown (${reason}): draining ${openResponses.size} connection(s) for up to ${drainMs} ms`,
+    );
+    if (!simulated) stopListening();
+
+    for (const res of openEventStreams()) {
         sendEvent(
             res,
-            {
-                message: `Starting simulated file stream`,
-            },
-            { id: ++lastId },
+            { message: 'Server is shutting down', reason, retry },
+            { event, retry },
         );
     }
 
-    setStoreExpiration(streamId);
+    // Remember which generators ran, so a simulation can restart them
+    const running = [...streams.values()].filter((s) => s.timer);
+    for (const streamState of running) stopGenerator(streamState);
+    clock.clearInterval(cleanupTimer);
+    for (const { timeout } of storeExpirations.values()) {
+        clock.clearTimeout(timeout);
+    }
 
-    const interval = setInterval(() => {
-        if (byteSent >= totalBytesNum) {
-            sendEvent(res, {}, { id: ++lastId, event: 'end' });
-            clearInterval(interval);
-            res.end();
-            return;
-        }
+    // Real timers on purpose: a virtual clock must not hold up the exit
+    const deadline = Date.now() + drainMs;
+    while (openResponses.size > 0 && Date.now() < deadline) {
+        await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    // Streams outside the limits (e.g. the dashboard feed) don't hold up
+    // the drain but are closed with the rest
+    const remaining = openResponses.size;
+    for (const res of new Set([...openResponses, ...openEventStreams()])) {
+        res.locals.disconnectReason = 'shutdown';
+        res.end();
+    }
+    await store.flush();
+    console.log(
+        `[Shutdown] Drained – ${remaining} connection(s) closed at the timeout, store flushed`,
+    );
 
-        chunkIndex++;
-        lastId++;
+    // A SIGTERM during a simulation turns it into the real thing
+    if (!state.simulated) {
+        for (const server of servers) server.closeAllConnections?.();
+        for (const session of http2Sessions) session.destroy();
+        process.exit(0);
+    }
 
-        let chunkData;
-        if (format === 'jsonl') {
-            chunkData =
-                JSON.stringify({
-                    chunk: chunkIndex,
-                    timeStamp: new Date().toISOString(),
-                    data: 'x'.repeat(chunkSizeNum - 50), // approximate size
-                }) + '\n';
-        } else if (format === 'binary') {
-            // For binary testing (Base64 encoded in data field)
-            const buffer = Buffer.alloc(chunkSizeNum).fill('x');
-            chunkData = buffer.toString('base64');
-        } else {
-            // plain text
-            chunkData = 'x'.repeat(chunkSizeNum) + '\n';
+    // Come back up the way a restarted process would
+    cleanupTimer = clock.setInterval(cleanupStreams, INACTIVITY_TIMEOUT_MS);
+    for (const streamId of eventStore.keys()) setStoreExpiration(streamId);
+    for (const streamState of running) {
+        // Skip streams deleted, finished or paused during the drain
+        if (
+            streams.get(streamState.streamId) === streamState &&
+            !streamState.finished &&
+            !streamState.paused &&
+            !streamState.timer
+        ) {
+            startGenerator(streamState);
         }
+    }
+    shutdownState = null;
+    console.log('[Shutdown] Simulated shutdown over – accepting connections');
+}
 
-        const payload = {
-            chunkIndex,
-            size: chunkData.length,
-            content: chunkData,
-        };
+function openEventStreams() {
+    return [...liveResponses].filter(
+        (res) =>
+            !res.writableEnded &&
+            String(res.getHeader('Content-Type')).startsWith(
+                'text/event-stream',
+            ),
+    );
+}
 
-        sendEvent(res, payload, { event: eventType, id: lastId });
+function stopListening() {
+    for (const server of servers) server.close();
+    for (const session of http2Sessions) session.close(); // GOAWAY, streams finish
+}
 
-        // Store for resumption
-        stored.push({ id: lastId, data: payload });
-        if (stored.length > 500) stored.shift(); // prevent unbounded growth
+for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.on(signal, () => {
+        if (shutdownState?.simulated) {
+            console.log(`[Shutdown] ${signal} during a simulated shutdown`);
+            shutdownState.simulated = false;
+            stopListening();
+        } else if (shutdownState) {
+            console.log(`[Shutdown] ${signal} again – exiting now`);
+            process.exit(1);
+        } else {
+            shutdown({ reason: signal });
+        }
+    });
+}
 
-        byteSent += chunkData.length;
+app.get('/sse/shutdown', (req, res) => {
+    if (!shutdownState) return res.json({ active: false });
+    const { startedAt, ...rest } = shutdownState;
+    res.json({
+        active: true,
+        ...rest,
+        openConnections: openResponses.size,
+        startedAt: new Date(startedAt).toISOString(),
+    });
+});
 
-        setStoreExpiration(streamId);
-    }, delayNum);
+// Runs the whole shutdown sequence without exiting the process
+app.post('/sse/shutdown', (req, res) => {
+    const {
+        drainMs = SHUTDOWN_DRAIN_MS,
+        event = SHUTDOWN_EVENT,
+        retry = SHUTDOWN_RETRY_MS,
+        reason = 'simulated',
+    } = req.body ?? {};
 
-    req.on('close', () => {
-        clearInterval(interval);
-        res.end();
+    if (shutdownState) {
+        return res
+            .status(409)
+            .json({ error: 'A shutdown is already in progress' });
+    }
+    if (!Number.isInteger(drainMs) || drainMs < 0) {
+        return res
+            .status(400)
+            .json({ error: 'drainMs must be a non-negative integer' });
+    }
+    if (!Number.isInteger(retry) || retry < 0) {
+        return res
+            .status(400)
+            .json({ error: 'retry must be a non-negative integer' });
+    }
+    if (typeof event !== 'string' || !/^[^\r\n]+$/.test(event)) {
+        return res
+            .status(400)
+            .json({ error: 'event must be a single-line string' });
+    }
+    if (typeof reason !== 'string') {
+        return res.status(400).json({ error: 'reason must be a string' });
+    }
+
+    const connections = openResponses.size;
+    shutdown({ simulated: true, reason, drainMs, event, retry }).catch((err) =>
+        console.error('[Shutdown] Simulated shutdown failed:', err),
+    );
+    res.status(202).json({
+        simulated: true,
+        connections,
+        drainMs,
+        event,
+        retry,
     });
 });
 
+checkSpecCoverage();
+
 if (USE_HTTPS) {
-    const options = {
-        key: readFileSync('/certs/privkey.pem'), // Path inside container
-        cert: readFileSync('/certs/fullchain.pem'),
-    };
-    createServer(options, app).listen(PORT, () => {
+    const options = readTlsOptions();
+    const server = createServer(options, app).listen(PORT, () => {
         console.log(
             `Advanced SSE test server running on HTTPS https://localhost:${PORT}`,
         );
     });
+    servers.push(server);
 } else {
-    app.listen(3000, () => {
+    const server = app.listen(3000, () => {
         console.log(
             `Advanced SSE test server running on HTTP http://localhost:${PORT}`,
         );
     });
+    servers.push(server);
+}
+
+if (HTTP2_PORT) {
+    const server = trackHttp2Sessions(
+        http2.createSecureServer(
+            {
+                ...readTlsOptions(),
+                allowHTTP1: true,
+                settings: { maxConcurrentStreams: H2_MAX_CONCURRENT_STREAMS },
+            },
+            handleHttp2Request,
+        ),
+    ).listen(HTTP2_PORT, () => {
+        console.log(
+            `Advanced SSE test server running on HTTP/2 https://localhost:${HTTP2_PORT}`,
+        );
+    });
+    servers.push(server);
+}
+
+if (H2C_PORT) {
+    const server = trackHttp2Sessions(
+        http2.createServer(
+            { settings: { maxConcurrentStreams: H2_MAX_CONCURRENT_STREAMS } },
+            handleHttp2Request,
+        ),
+    ).listen(H2C_PORT, () => {
+        console.log(
+            `Advanced SSE test server running on h2c http://localhost:${H2C_PORT}`,
+        );
+    });
+    servers.push(server);
 }